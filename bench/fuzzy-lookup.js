@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark memory lookups as the memory grows: the n-gram index used by
+ * assignCategoryId() against the linear scans it replaced.
+ *
+ *   node bench/fuzzy-lookup.js [lookups]
+ */
+
+const { buildMemoryIndex } = require('../src/memoryIndex');
+
+const WORDS = [
+  'super', 'lider', 'jumbo', 'unimarc', 'farmacia', 'cruz', 'verde', 'ahumada', 'copec', 'shell',
+  'uber', 'trip', 'eats', 'rappi', 'cafe', 'starbucks', 'restaurant', 'sushi', 'pizza', 'bar',
+  'falabella', 'ripley', 'paris', 'sodimac', 'easy', 'entel', 'movistar', 'vtr', 'enel', 'aguas',
+  'andinas', 'metro', 'bip', 'taxi', 'cine', 'hoyts', 'spotify', 'netflix', 'apple', 'google'
+];
+
+/**
+ * Deterministic pseudo-random generator so runs are comparable
+ * @param {number} seed Seed
+ * @returns {function(): number} Generator returning values in [0, 1)
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Generate payee names
+ * @param {number} count Number of payees
+ * @param {function(): number} rand Random generator
+ * @returns {string[]} Payees
+ */
+function generatePayees(count, rand) {
+  const payees = [];
+  for (let i = 0; i < count; i++) {
+    const words = [];
+    const length = 1 + Math.floor(rand() * 3);
+    for (let j = 0; j < length; j++) {
+      words.push(WORDS[Math.floor(rand() * WORDS.length)]);
+    }
+    payees.push(`${words.join(' ').toUpperCase()} ${Math.floor(rand() * 1000)}`);
+  }
+  return payees;
+}
+
+/**
+ * Bigram Dice coefficient, as previously computed for every pair
+ * @param {string} str1 First string
+ * @param {string} str2 Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function calculateSimilarity(str1, str2) {
+  const a = str1.toLowerCase();
+  const b = str2.toLowerCase();
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const aBigrams = new Set();
+  for (let i = 0; i < a.length - 1; i++) aBigrams.add(a.substr(i, 2));
+  const bBigrams = new Set();
+  for (let i = 0; i < b.length - 1; i++) bBigrams.add(b.substr(i, 2));
+  const intersection = [...aBigrams].filter(x => bBigrams.has(x)).length;
+  return (2 * intersection) / (aBigrams.size + bBigrams.size);
+}
+
+/**
+ * Both lookups done by scanning every payee
+ * @param {string[]} payees Memory payees
+ * @param {string} target Transaction payee
+ * @returns {{contained: string|null, best: {target: string|null, rating: number}}} Results
+ */
+function linearLookup(payees, target) {
+  const lower = target.toLowerCase();
+  const contained = payees.find(payee => lower.includes(payee.toLowerCase())) || null;
+  let best = { target: null, rating: 0 };
+  for (const payee of payees) {
+    const rating = calculateSimilarity(target, payee);
+    if (rating > best.rating) best = { target: payee, rating };
+  }
+  return { contained, best };
+}
+
+/**
+ * Time a function
+ * @param {function(): void} fn Function to run
+ * @returns {number} Elapsed milliseconds
+ */
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function main() {
+  const lookups = parseInt(process.argv[2], 10) || 500;
+  const rand = random(42);
+  const targets = generatePayees(lookups, rand);
+
+  console.log(`${lookups} lookups per memory size\n`);
+  console.log('memory   index build   index lookups   linear lookups   speed-up');
+
+  for (const size of [250, 1000, 2500, 5000, 10000]) {
+    const payees = generatePayees(size, rand);
+    let index;
+    const buildMs = time(() => { index = buildMemoryIndex(payees); });
+
+    const indexed = [];
+    const indexMs = time(() => {
+      for (const target of targets) {
+        indexed.push({ contained: index.findContained(target), best: index.findBestMatch(target) });
+      }
+    });
+
+    const linear = [];
+    const linearMs = time(() => {
+      for (const target of targets) {
+        linear.push(linearLookup(payees, target));
+      }
+    });
+
+    // The index must give exactly the same answers
+    linear.forEach((expected, i) => {
+      const actual = indexed[i];
+      if (actual.contained !== expected.contained || actual.best.target !== expected.best.target ||
+          Math.abs(actual.best.rating - expected.best.rating) > 1e-12) {
+        throw new Error(`Mismatch for "${targets[i]}" with ${size} payees`);
+      }
+    });
+
+    console.log(
+      `${String(size).padStart(6)}   ${buildMs.toFixed(1).padStart(9)}ms   ${indexMs.toFixed(1).padStart(11)}ms   ` +
+      `${linearMs.toFixed(1).padStart(12)}ms   ${(linearMs / indexMs).toFixed(1).padStart(7)}x`
+    );
+  }
+}
+
+main();
@@ -1,122 +1,739 @@
 #!/usr/bin/env node
 
 const { program } = require('commander');
-const { loadConfig } = require('../src/config');
+const { loadConfig, findIncompleteAccounts } = require('../src/config');
 const { sync } = require('../src/sync');
-const { clearMemory, getMemoryStats, loadMemory } = require('../src/memory');
-const { buildMemoryFromLunchMoney } = require('../src/learnLunchMoney');
+const {
+  clearMemory,
+  getMemoryStats,
+  loadMemory,
+  getPreferredCategory,
+  toCategoryRules
+} = require('../src/memory');
+const {
+  rebuildMemory,
+  buildTrainingExamples,
+  fetchTransactionsForLearning
+} = require('../src/learnLunchMoney');
+const { listCategories } = require('../src/categorize');
+const { MERGE_STRATEGIES, importMemory } = require('../src/memoryImport');
+const { getCursor } = require('../src/syncState');
+const { acquireLock, withLock, describeHolder } = require('../src/lock');
+const { runDiagnostics } = require('../src/doctor');
+const { evaluateClassifier, clearClassifier } = require('../src/classifier');
+const { listRuns, getRun } = require('../src/runJournal');
+const { rollbackRun } = require('../src/rollback');
+const { backfill } = require('../src/backfill');
+const { listReviewItems, resolveReviewItem, skipReviewItem } = require('../src/reviewQueue');
+const { sendTestNotification, sendDigest } = require('../src/notifier');
+const readline = require('readline');
 const pkg = require('../package.json');
 const chalk = require('chalk');
 
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value Option value
+ * @param {string[]} previous Values collected so far
+ * @returns {string[]} Values
+ */
+function collect(value, previous) {
+  return previous.concat(value);
+}
+
 program
   .version(pkg.version)
+  .option('--json', 'Print machine-readable JSON results on stdout (progress goes to stderr)')
+  .hook('preAction', () => {
+    // Keep stdout clean for the JSON result
+    if (program.opts().json) {
+      console.log = console.error;
+      console.info = console.error;
+    }
+  });
+
+program
+  .command('sync', { isDefault: true })
+  .description('Sync Fintoc movements to Lunch Money (the default command)')
   .option('--dry-run', 'Preview changes without sending them')
-  .option('--clear-memory', 'Clear all categorization memory')
-  .option('--show-memory', 'Display current categorization memory stats')
-  .option('--rebuild-memory', 'Rebuild memory from Lunch Money transaction history')
-  .option('--export-memory', 'Export memory to config.json format')
-  .parse(process.argv);
-
-async function run() {
-  const opts = program.opts();
-  const config = loadConfig();
+  .option('--incremental', 'Only fetch movements since the last successful sync of each account')
+  .option('--account <name>', 'Only sync this account (repeatable)', collect, [])
+  .option('--days <days>', 'Sync the last N days instead of DAYS_TO_SYNC', parseFloat)
+  .option('--from <date>', 'Sync movements from this date (YYYY-MM-DD)')
+  .option('--to <date>', 'Sync movements up to this date (YYYY-MM-DD), with --from')
+  .action(runSync);
 
-  // Handle memory management commands first
-  if (opts.clearMemory) {
-    try {
-      clearMemory();
-      console.log(chalk.green('✓ Categorization memory cleared successfully'));
-      return;
-    } catch (err) {
-      console.error(chalk.red('Error clearing memory:', err.message));
+const memory = program
+  .command('memory')
+  .description('Manage the categorization memory');
+
+memory
+  .command('show')
+  .description('Display categorization memory statistics')
+  .action(showMemory);
+
+memory
+  .command('rebuild')
+  .description('Rebuild memory from Lunch Money transaction history')
+  .option('--incremental', 'Only fetch recent Lunch Money transactions and merge them into the stored history')
+  .option('--since <date>', 'Learn from transactions since this date (YYYY-MM-DD)')
+  .option('--window-days <days>', 'Learn from the last N days only', parseFloat)
+  .option('--min-count <count>', 'Occurrences needed to learn a payee', parseFloat)
+  .option('--half-life <days>', 'Halve the weight of observations every N days', parseFloat)
+  .action(runRebuildMemory);
+
+memory
+  .command('clear')
+  .description('Clear all categorization memory and the classifier')
+  .action(runClearMemory);
+
+memory
+  .command('export')
+  .description('Print memory in config.json format')
+  .action(exportMemory);
+
+memory
+  .command('import <file>')
+  .description('Merge mappings from an export, a payee,category CSV or a memory file')
+  .option('--strategy <strategy>', `Conflict resolution: ${MERGE_STRATEGIES.join(', ')}`, 'keep')
+  .option('--dry-run', 'Only print the conflict report')
+  .action(runImportMemory);
+
+program
+  .command('categories')
+  .description('List the Lunch Money categories that can be assigned')
+  .action(categories);
+
+program
+  .command('accounts')
+  .description('List configured accounts and their sync state')
+  .action(accounts);
+
+program
+  .command('doctor')
+  .description('Check configuration, credentials, API connectivity and local data')
+  .action(doctor);
+
+program
+  .command('review')
+  .description('Review transactions with low-confidence categories (lists them with --json)')
+  .action(review);
+
+program
+  .command('evaluate')
+  .description('Report category classifier accuracy on held-out Lunch Money history')
+  .option('--since <date>', 'Use history since this date (YYYY-MM-DD)', '2023-01-01')
+  .option('--holdout <fraction>', 'Fraction of the most recent history held out for testing', parseFloat, 0.2)
+  .action(evaluate);
+
+program
+  .command('history [runId]')
+  .description('List past sync runs, or show the details of one run')
+  .option('--limit <count>', 'Number of runs to list', parseFloat, 20)
+  .action(history);
+
+program
+  .command('rollback <runId>')
+  .description('Delete the Lunch Money transactions inserted by a sync run, except edited ones')
+  .option('--dry-run', 'Only show what would be deleted')
+  .action(rollback);
+
+program
+  .command('backfill')
+  .description('Import history between two dates in monthly chunks, resuming an interrupted backfill')
+  .requiredOption('--from <date>', 'First date to import (YYYY-MM-DD)')
+  .option('--to <date>', 'Last date to import (YYYY-MM-DD)', new Date().toISOString().slice(0, 10))
+  .option('--account <name>', 'Only import this account (repeatable)', collect, [])
+  .option('--dry-run', 'Preview changes without sending them')
+  .option('--restart', 'Start over instead of resuming a checkpointed backfill of the same range')
+  .action(runBackfill);
+
+const notify = program
+  .command('notify')
+  .description('Check the notification channels');
+
+notify
+  .command('test')
+  .description('Send a sample notification to every channel, ignoring their triggers')
+  .option('--channel <name>', 'Only notify this channel')
+  .option('--event <event>', 'Event to simulate: failure, consecutive_failures, recovery or digest', 'failure')
+  .action(runNotifyTest);
+
+notify
+  .command('digest')
+  .description('Send the digest of transactions inserted since the last digest now')
+  .action(runNotifyDigest);
+
+/**
+ * Whether --json was given
+ * @returns {boolean} True for JSON output
+ */
+function isJson() {
+  return Boolean(program.opts().json);
+}
+
+/**
+ * Print a command result: as JSON with --json, otherwise as text
+ * @param {*} data Structured result
+ * @param {function(*): void} [printText] Prints the result as text
+ */
+function output(data, printText) {
+  if (isJson()) {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+  } else if (printText) {
+    printText(data);
+  }
+}
+
+/**
+ * Report an error and exit with a failure code
+ * @param {string} message Error message
+ */
+function fail(message) {
+  if (isJson()) {
+    process.stdout.write(`${JSON.stringify({ success: false, error: message }, null, 2)}\n`);
+  } else {
+    console.error(chalk.red(message));
+  }
+  process.exit(1);
+}
+
+/**
+ * Exit with an explanation unless a Lunch Money token is configured
+ * @param {Object} config Configuration returned by loadConfig()
+ */
+function requireToken(config) {
+  if (!config.lunchmoneyToken) {
+    fail('Error: missing Lunch Money API token. Set LUNCHMONEY_TOKEN in your .env file.');
+  }
+}
+
+/**
+ * Exit with an explanation unless the config has everything a sync needs
+ * @param {Object} config Configuration returned by loadConfig()
+ */
+function requireSyncConfig(config) {
+  requireToken(config);
+
+  const incomplete = findIncompleteAccounts(config);
+  if (incomplete.length > 0) {
+    fail([
+      ...incomplete.map(({ name, problem }) => `Error: account "${name}": ${problem}.`),
+      'Set FINTOC_API_KEY and FINTOC_LINK_ID in your .env file, or configure "accounts" in config.json.'
+    ].join('\n'));
+  }
+}
+
+/**
+ * Restrict the config to the accounts named with --account
+ * @param {Object} config Configuration returned by loadConfig()
+ * @param {string[]} names Account names, empty for all accounts
+ * @returns {Object} Configuration with only the selected accounts
+ */
+function selectAccounts(config, names) {
+  if (names.length === 0) return config;
+  const unknown = names.filter(name => !config.accounts.some(account => account.name === name));
+  if (unknown.length > 0) {
+    fail(`Error: unknown account(s) ${unknown.map(name => `"${name}"`).join(', ')}. ` +
+      `Configured: ${config.accounts.map(account => `"${account.name}"`).join(', ')}.`);
+  }
+  return { ...config, accounts: config.accounts.filter(account => names.includes(account.name)) };
+}
+
+/**
+ * Take the sync lock for the rest of the command, or exit if a sync,
+ * rebuild or rollback is already running.  The lock is released on exit.
+ * @param {string} operation What the lock is taken for
+ */
+function requireLock(operation) {
+  const { acquired, holder } = acquireLock({ operation, trigger: 'cli' });
+  if (!acquired) {
+    fail(`Error: another operation is running: ${describeHolder(holder)}`);
+  }
+}
+
+/**
+ * Whether a string is a YYYY-MM-DD date
+ * @param {string} value Value to test
+ * @returns {boolean} True for valid dates
+ */
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+async function runSync(options) {
+  // The other accounts stay in the config for transfer matching
+  let config = loadConfig();
+  requireSyncConfig(selectAccounts(config, options.account));
+
+  if (options.days !== undefined) {
+    if (!(options.days > 0)) {
+      fail('Error: --days must be a positive number.');
+    }
+    config = { ...config, daysToSync: options.days };
+  }
+
+  let range = null;
+  if (options.from || options.to) {
+    const to = options.to || new Date().toISOString().slice(0, 10);
+    if (!options.from || !isDate(options.from) || !isDate(to) || options.from > to) {
+      fail('Error: --from and --to must be YYYY-MM-DD dates with --from not after --to.');
+    }
+    if (options.incremental || options.days !== undefined) {
+      fail('Error: --from/--to cannot be combined with --incremental or --days.');
+    }
+    range = { since: options.from, until: to };
+  }
+  requireLock('sync');
+
+  try {
+    const result = await sync({
+      config,
+      accountNames: options.account.length > 0 ? options.account : null,
+      dryRun: options.dryRun,
+      incremental: options.incremental,
+      range
+    });
+    output(result, () => {
+      if (!result.success) {
+        console.error(chalk.red('\n⚠ Sync completed with errors'));
+      }
+    });
+
+    // Exit with error code if sync had issues
+    if (!result.success) {
       process.exit(1);
     }
+  } catch (err) {
+    fail(`Sync failed: ${err.message}`);
   }
+}
+
+function showMemory() {
+  try {
+    const stats = getMemoryStats();
+    const entries = Object.entries(loadMemory().payees).map(([payee, entry]) => {
+      const preferred = getPreferredCategory(entry);
+      return {
+        payee,
+        category: preferred ? preferred.category : null,
+        confidence: preferred ? preferred.confidence : 0,
+        count: preferred ? preferred.count : 0,
+        total: preferred ? preferred.total : 0,
+        source: entry.source
+      };
+    });
 
-  if (opts.showMemory) {
-    try {
-      const stats = getMemoryStats();
+    output({ ...stats, entries }, () => {
       console.log(chalk.blue('📊 Categorization Memory Statistics:'));
       console.log(`  Total entries: ${stats.totalEntries}`);
       console.log(`  Unique categories: ${stats.uniqueCategories}`);
+      console.log(`  Sources: ${Object.entries(stats.sources).map(([source, n]) => `${source} ${n}`).join(', ') || 'none'}`);
       console.log(`  Last modified: ${stats.lastModified || 'Never'}`);
-      
+
       if (stats.categories.length > 0) {
         console.log('\n  Categories learned:');
         stats.categories.forEach(cat => console.log(`    • ${cat}`));
       }
 
-      if (stats.totalEntries > 0) {
+      if (entries.length > 0) {
         console.log('\n  Recent payee mappings:');
-        const memory = loadMemory();
-        const entries = Object.entries(memory).slice(-10);
-        entries.forEach(([payee, category]) => {
-          console.log(`    "${payee}" → "${category}"`);
+        entries.slice(-10).filter(entry => entry.category).forEach(entry => {
+          console.log(
+            `    "${entry.payee}" → "${entry.category}" (${Math.round(entry.confidence * 100)}%, ${entry.count}/${entry.total}, ${entry.source})`
+          );
         });
-        if (Object.keys(memory).length > 10) {
-          console.log(`    ... and ${Object.keys(memory).length - 10} more`);
+        if (entries.length > 10) {
+          console.log(`    ... and ${entries.length - 10} more`);
         }
       }
-      return;
-    } catch (err) {
-      console.error(chalk.red('Error reading memory stats:', err.message));
-      process.exit(1);
+    });
+  } catch (err) {
+    fail(`Error reading memory stats: ${err.message}`);
+  }
+}
+
+async function runRebuildMemory(options) {
+  const config = loadConfig();
+  requireToken(config);
+
+  const overrides = { incremental: Boolean(options.incremental) };
+  if (options.since) overrides.startDate = options.since;
+  if (options.windowDays) overrides.windowDays = options.windowDays;
+  if (options.minCount) overrides.minCount = options.minCount;
+  if (options.halfLife) overrides.recencyHalfLifeDays = options.halfLife;
+  requireLock('memory_rebuild');
+
+  try {
+    console.log(chalk.blue('🔄 Rebuilding memory from Lunch Money transaction history...'));
+    const rebuilt = await rebuildMemory(config, overrides);
+    const entries = Object.keys(rebuilt.payees).length;
+    output({ success: true, entries }, () => {
+      console.log(chalk.green(`✓ Memory rebuilt successfully with ${entries} payee-category mappings`));
+    });
+  } catch (err) {
+    fail(`Error rebuilding memory: ${err.message}`);
+  }
+}
+
+function runClearMemory() {
+  requireLock('memory_clear');
+  try {
+    clearMemory();
+    clearClassifier();
+    output({ success: true }, () => {
+      console.log(chalk.green('✓ Categorization memory cleared successfully'));
+    });
+  } catch (err) {
+    fail(`Error clearing memory: ${err.message}`);
+  }
+}
+
+function exportMemory() {
+  try {
+    // Always bare JSON, so the output can be redirected into a file
+    process.stdout.write(`${JSON.stringify({ category_rules: toCategoryRules(loadMemory()) }, null, 2)}\n`);
+  } catch (err) {
+    fail(`Error exporting memory: ${err.message}`);
+  }
+}
+
+async function runImportMemory(file, options) {
+  const config = loadConfig();
+  requireToken(config);
+  if (!MERGE_STRATEGIES.includes(options.strategy)) {
+    fail(`Error: --strategy must be one of: ${MERGE_STRATEGIES.join(', ')}.`);
+  }
+  if (!options.dryRun) {
+    requireLock('memory_import');
+  }
+
+  try {
+    const report = await importMemory({
+      token: config.lunchmoneyToken,
+      file,
+      strategy: options.strategy,
+      dryRun: options.dryRun
+    });
+    output(report);
+  } catch (err) {
+    fail(`Error importing memory: ${err.message}`);
+  }
+}
+
+async function categories() {
+  const config = loadConfig();
+  requireToken(config);
+
+  try {
+    const list = await listCategories(config.lunchmoneyToken);
+    output(list, () => {
+      console.log(chalk.blue(`🏷️  ${list.length} Lunch Money categories:`));
+      list.forEach(category => console.log(`  ${String(category.id).padStart(8)}  ${category.name}`));
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+}
+
+function accounts() {
+  const config = loadConfig();
+  const incomplete = findIncompleteAccounts(config);
+  const list = config.accounts.map(account => {
+    const problem = incomplete.find(entry => entry.name === account.name);
+    return {
+      name: account.name,
+      fintocAccountId: account.finocLinkId || null,
+      apiKeyEnv: account.finocApiKeyEnv,
+      apiKeySet: Boolean(account.finocApiKey),
+      lunchmoneyAssetId: account.lunchmoneyAssetId || null,
+      currency: account.currency,
+      problem: problem ? problem.problem : null,
+      cursor: account.finocLinkId ? getCursor(account.finocLinkId) : null
+    };
+  });
+
+  output(list, () => {
+    console.log(chalk.blue(`🏦 ${list.length} configured account(s):`));
+    for (const account of list) {
+      console.log(chalk.bold(`\n  ${account.name}`));
+      console.log(`    Fintoc account: ${account.fintocAccountId || 'missing'}`);
+      console.log(`    API key: ${account.apiKeyEnv} (${account.apiKeySet ? 'set' : 'not set'})`);
+      console.log(`    Lunch Money asset: ${account.lunchmoneyAssetId || 'none'}`);
+      console.log(`    Currency: ${account.currency}`);
+      console.log(`    Last synced movement: ${account.cursor ? account.cursor.date : 'never'}`);
+      if (account.problem) {
+        console.log(chalk.red(`    ✗ ${account.problem}`));
+      }
     }
+  });
+}
+
+async function doctor() {
+  const checks = await runDiagnostics(loadConfig());
+  const success = checks.every(check => check.status !== 'fail');
+  const symbols = { ok: chalk.green('✓'), warn: chalk.yellow('!'), fail: chalk.red('✗') };
+
+  output({ success, checks }, () => {
+    console.log(chalk.blue('🩺 Diagnostics:'));
+    checks.forEach(check => console.log(`  ${symbols[check.status]} ${check.name}: ${check.detail}`));
+  });
+  if (!success) {
+    process.exit(1);
   }
+}
 
-  if (opts.rebuildMemory) {
-    if (!config.lunchmoneyToken) {
-      console.error('Error: missing Lunch Money API token. Set LUNCHMONEY_TOKEN in your .env file.');
-      process.exit(1);
+/**
+ * Prompt for a line of input
+ * @param {readline.Interface} rl Readline interface
+ * @param {string} question Prompt text
+ * @returns {Promise<string>} Trimmed answer
+ */
+function ask(rl, question) {
+  return new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+}
+
+async function review() {
+  const config = loadConfig();
+  requireToken(config);
+
+  const items = listReviewItems();
+  if (isJson()) {
+    // Scripts get the queue; resolving needs a person
+    output(items);
+    return;
+  }
+  if (items.length === 0) {
+    console.log(chalk.green('✓ No transactions awaiting review'));
+    return;
+  }
+
+  console.log(chalk.blue(`🔎 ${items.length} transaction(s) awaiting review`));
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let resolved = 0;
+
+  try {
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      console.log(chalk.bold(`\n[${i + 1}/${items.length}] ${item.date} ${item.amount} ${item.payee} (${item.account})`));
+      console.log(`  Currently: ${item.categoryName || 'uncategorised'}`);
+      item.candidates.forEach((candidate, index) => {
+        console.log(`  ${index + 1}) ${candidate.category} (${Math.round(candidate.confidence * 100)}%)`);
+      });
+
+      const answer = (await ask(rl, '[a]ccept top, [1-9] choose, [c]ategory name, [s]kip, [q]uit: ')).toLowerCase();
+      if (answer === 'q') break;
+      if (answer === 's') {
+        const { acquired, holder } = await withLock({ operation: 'review', trigger: 'cli' }, () =>
+          skipReviewItem(item.id));
+        if (!acquired) {
+          console.error(chalk.red(`  ✗ Another operation is running, leaving it for later: ${describeHolder(holder)}`));
+        }
+        continue;
+      }
+
+      let category = null;
+      if (answer === 'a' || answer === '') {
+        category = item.candidates[0] && item.candidates[0].category;
+      } else if (/^\d+$/.test(answer)) {
+        const candidate = item.candidates[parseInt(answer, 10) - 1];
+        category = candidate && candidate.category;
+      } else if (answer === 'c') {
+        category = await ask(rl, 'Category name: ');
+      }
+      if (!category) {
+        console.log(chalk.yellow('  Invalid choice, leaving it for later'));
+        continue;
+      }
+
+      try {
+        // Only held per item, so syncs can run while the prompt waits
+        const { acquired, holder } = await withLock({ operation: 'review', trigger: 'cli' }, () =>
+          resolveReviewItem({ token: config.lunchmoneyToken, id: item.id, category }));
+        if (!acquired) {
+          console.error(chalk.red(`  ✗ Another operation is running, leaving it for later: ${describeHolder(holder)}`));
+          continue;
+        }
+        resolved++;
+        console.log(chalk.green(`  ✓ Categorised as "${category}" and remembered`));
+      } catch (err) {
+        console.error(chalk.red(`  ✗ ${err.message}`));
+      }
     }
-    
-    try {
-      console.log(chalk.blue('🔄 Rebuilding memory from Lunch Money transaction history...'));
-      const memory = await buildMemoryFromLunchMoney(config.lunchmoneyToken);
-      const entries = Object.keys(memory).length;
-      console.log(chalk.green(`✓ Memory rebuilt successfully with ${entries} payee-category mappings`));
-      return;
-    } catch (err) {
-      console.error(chalk.red('Error rebuilding memory:', err.message));
-      process.exit(1);
+  } finally {
+    rl.close();
+  }
+
+  console.log(chalk.blue(`\nResolved ${resolved} transaction(s)`));
+}
+
+async function evaluate(options) {
+  const config = loadConfig();
+  requireToken(config);
+  if (!(options.holdout > 0 && options.holdout < 1)) {
+    fail('Error: --holdout must be between 0 and 1.');
+  }
+
+  try {
+    console.log(chalk.blue(`🧪 Evaluating classifier on Lunch Money history since ${options.since}...`));
+    const history = await fetchTransactionsForLearning(config.lunchmoneyToken, options.since);
+    const examples = buildTrainingExamples(history, config.payeeNormalization);
+    const report = evaluateClassifier(examples, { holdout: options.holdout, minProbability: config.minConfidence });
+    const percent = value => `${Math.round(value * 1000) / 10}%`;
+
+    output(report, () => {
+      console.log(`  Trained on: ${report.trained} transactions`);
+      console.log(`  Tested on: ${report.tested} most recent transactions`);
+      console.log(`  Accuracy: ${percent(report.accuracy)}`);
+      console.log(`  Coverage at ${percent(config.minConfidence)} confidence: ${percent(report.coverage)}`);
+      console.log(`  Accuracy when confident: ${percent(report.confidentAccuracy)}`);
+    });
+  } catch (err) {
+    fail(`Error evaluating classifier: ${err.message}`);
+  }
+}
+
+function history(runId, options) {
+  if (runId) {
+    const run = getRun(runId);
+    if (!run) {
+      fail(`Run "${runId}" not found`);
     }
+    output(run, () => {
+      console.log(chalk.blue(`Run ${run.id} (${run.trigger}${run.dryRun ? ', dry run' : ''}${run.incremental ? ', incremental' : ''})`));
+      console.log(`  Started: ${run.startedAt}`);
+      if (run.rolledBackAt) {
+        console.log(chalk.yellow(`  Rolled back: ${run.rolledBackAt}`));
+      }
+      console.log(`  Finished: ${run.finishedAt} (${Math.round(run.durationMs / 1000)}s)`);
+      console.log(`  Result: ${run.success ? chalk.green('success') : chalk.red('errors')}, ${run.inserted} inserted, ${run.skipped} skipped, ${run.errors} errors`);
+      for (const account of run.accounts) {
+        console.log(chalk.bold(`\n  ${account.account}: ${account.inserted} inserted, ${account.skipped} skipped, ${account.errors} errors`));
+        const duplicates = Object.entries(account.duplicates).map(([method, n]) => `${method} ${n}`).join(', ');
+        if (duplicates) {
+          console.log(`    Duplicates: ${duplicates}`);
+        }
+        if (account.insertedExternalIds.length > 0) {
+          console.log(`    Inserted: ${account.insertedExternalIds.join(', ')}`);
+        }
+        account.errorMessages.forEach(message => console.log(chalk.red(`    ✗ ${message}`)));
+      }
+    });
+    return;
   }
 
-  if (opts.exportMemory) {
-    try {
-      const memory = loadMemory();
-      console.log(chalk.blue('📤 Current memory in config.json format:'));
-      console.log(JSON.stringify({ category_rules: memory }, null, 2));
+  output(listRuns({ limit: options.limit }), ({ total, runs }) => {
+    if (runs.length === 0) {
+      console.log(chalk.yellow('No sync runs recorded yet'));
       return;
-    } catch (err) {
-      console.error(chalk.red('Error exporting memory:', err.message));
+    }
+    console.log(chalk.blue(`📜 Last ${runs.length} of ${total} sync run(s):`));
+    for (const run of runs) {
+      const flags = [
+        run.trigger,
+        run.dryRun ? 'dry run' : null,
+        run.incremental ? 'incremental' : null,
+        run.rolledBackAt ? 'rolled back' : null
+      ].filter(Boolean).join(', ');
+      const line = `  ${run.id}  ${run.startedAt}  ${run.inserted} inserted, ${run.skipped} skipped, ${run.errors} errors  (${flags})`;
+      console.log(run.success ? line : chalk.red(line));
+    }
+  });
+}
+
+async function rollback(runId, options) {
+  const config = loadConfig();
+  requireToken(config);
+  requireLock('rollback');
+
+  try {
+    console.log(chalk.blue(`↩️  Rolling back run ${runId}${options.dryRun ? ' (dry run)' : ''}...`));
+    const report = await rollbackRun({ token: config.lunchmoneyToken, runId, dryRun: options.dryRun });
+    output(report, () => {
+      console.log(chalk.blue(`\n${options.dryRun ? 'Would delete' : 'Deleted'} ${report.deleted.length} transaction(s)`));
+      if (report.flagged.length > 0) {
+        console.log(chalk.yellow(`Tagged ${report.flagged.length} transaction(s) fintoc-rolled-back, since Lunch Money would not delete them`));
+      }
+      if (report.skipped.length > 0) {
+        console.log(chalk.yellow(`Skipped ${report.skipped.length} transaction(s) edited since the sync`));
+      }
+      if (report.missing.length > 0) {
+        console.log(chalk.yellow(`${report.missing.length} transaction(s) were already deleted`));
+      }
+      if (report.errors.length > 0) {
+        console.error(chalk.red(`${report.errors.length} transaction(s) could not be rolled back`));
+      }
+    });
+    if (report.errors.length > 0) {
       process.exit(1);
     }
+  } catch (err) {
+    fail(`Rollback failed: ${err.message}`);
   }
+}
 
-  // Regular sync operation
-  if (!config.lunchmoneyToken) {
-    console.error('Error: missing Lunch Money API token. Set LUNCHMONEY_TOKEN in your .env file.');
-    process.exit(1);
-  }
+async function runBackfill(options) {
+  const config = loadConfig();
+  requireSyncConfig(selectAccounts(config, options.account));
 
-  if (!config.finocApiKey || !config.finocLinkId) {
-    console.error('Error: missing Fintoc API key or link ID. Set FINTOC_API_KEY and FINTOC_LINK_ID in your .env file.');
-    process.exit(1);
+  if (!isDate(options.from) || !isDate(options.to) || options.from > options.to) {
+    fail('Error: --from and --to must be YYYY-MM-DD dates with --from not after --to.');
   }
+  requireLock('backfill');
 
   try {
-    const result = await sync({ config, dryRun: opts.dryRun });
-    
-    // Exit with error code if sync had issues
+    const result = await backfill({
+      config,
+      accountNames: options.account.length > 0 ? options.account : null,
+      from: options.from,
+      to: options.to,
+      dryRun: options.dryRun,
+      restart: options.restart
+    });
+    output(result, () => {
+      const inserted = result.chunks.reduce((sum, chunk) => sum + (chunk.inserted || 0), 0);
+      const skipped = result.chunks.reduce((sum, chunk) => sum + (chunk.skipped || 0), 0);
+      console.log(chalk.blue(`\nBackfill: ${result.chunks.length} month(s) processed, ${inserted} inserted, ${skipped} skipped`));
+    });
     if (!result.success) {
-      console.error(chalk.red('\n⚠ Sync completed with errors'));
       process.exit(1);
     }
   } catch (err) {
-    console.error(chalk.red('Sync failed:', err.message));
+    fail(`Backfill failed: ${err.message}`);
+  }
+}
+
+/**
+ * Print notification delivery results and exit 1 if any failed
+ * @param {Array<Object>} results Delivery results from the notifier
+ */
+function reportDeliveries(results) {
+  output(results, () => {
+    if (results.length === 0) {
+      console.log(chalk.yellow('No channel is subscribed to this event'));
+    }
+    for (const { channel, event, success, error } of results) {
+      console.log(success ? chalk.green(`✓ ${channel}: ${event} sent`) : chalk.red(`✗ ${channel}: ${error}`));
+    }
+  });
+  if (results.some(result => !result.success)) {
     process.exit(1);
   }
 }
 
-run();
\ No newline at end of file
+async function runNotifyTest(options) {
+  try {
+    reportDeliveries(await sendTestNotification(loadConfig(), options));
+  } catch (err) {
+    fail(`Error: ${err.message}`);
+  }
+}
+
+async function runNotifyDigest() {
+  try {
+    reportDeliveries(await sendDigest(loadConfig()));
+  } catch (err) {
+    fail(`Error: ${err.message}`);
+  }
+}
+
+program.parseAsync(process.argv);
@@ -34,33 +34,16 @@ fi
 
 # Parse command line arguments
 MODE="server"
-COMMAND=""
+CLI_ARGS=()
 
 while [[ $# -gt 0 ]]; do
     case $1 in
         --cli)
+            # Everything after --cli is passed to bin/cli.js
             MODE="cli"
             shift
-            ;;
-        --dry-run)
-            COMMAND="$COMMAND --dry-run"
-            shift
-            ;;
-        --show-memory)
-            COMMAND="$COMMAND --show-memory"
-            shift
-            ;;
-        --rebuild-memory)
-            COMMAND="$COMMAND --rebuild-memory"
-            shift
-            ;;
-        --clear-memory)
-            COMMAND="$COMMAND --clear-memory"
-            shift
-            ;;
-        --export-memory)
-            COMMAND="$COMMAND --export-memory"
-            shift
+            CLI_ARGS=("$@")
+            break
             ;;
         --build)
             echo -e "${YELLOW}🔨 Building Docker image...${NC}"
@@ -68,23 +51,20 @@ while [[ $# -gt 0 ]]; do
             shift
             ;;
         --help)
-            echo "Usage: $0 [OPTIONS]"
+            echo "Usage: $0 [--build] [--cli [COMMAND] [OPTIONS]]"
             echo ""
             echo "Options:"
-            echo "  --cli              Run in CLI mode instead of server"
-            echo "  --dry-run          Preview changes without making them"
-            echo "  --show-memory      Display memory statistics"
-            echo "  --rebuild-memory   Rebuild memory from transaction history"
-            echo "  --clear-memory     Clear all memory"
-            echo "  --export-memory    Export memory to config format"
+            echo "  --cli              Run in CLI mode instead of server; the remaining"
+            echo "                     arguments are passed to the CLI (default: sync)"
             echo "  --build            Build Docker image before running"
             echo "  --help             Show this help message"
             echo ""
             echo "Examples:"
-            echo "  $0                           # Run server"
-            echo "  $0 --cli --dry-run          # CLI dry run"
-            echo "  $0 --cli --show-memory      # Show memory stats"
-            echo "  $0 --build                  # Build and run server"
+            echo "  $0                                 # Run server"
+            echo "  $0 --cli sync --dry-run            # CLI dry run"
+            echo "  $0 --cli memory show               # Show memory stats"
+            echo "  $0 --cli --json sync --incremental # JSON result of an incremental sync"
+            echo "  $0 --build                         # Build and run server"
             exit 0
             ;;
         *)
@@ -103,10 +83,10 @@ fi
 
 if [ "$MODE" = "cli" ]; then
     echo -e "${GREEN}🖥️  Running CLI mode...${NC}"
-    if [ -n "$COMMAND" ]; then
-        echo -e "${BLUE}Command: node bin/cli.js$COMMAND${NC}"
+    if [ ${#CLI_ARGS[@]} -gt 0 ]; then
+        echo -e "${BLUE}Command: node bin/cli.js ${CLI_ARGS[*]}${NC}"
     fi
-    docker-compose run --rm lunchmoney-fintoc-cli node bin/cli.js $COMMAND
+    docker-compose run --rm lunchmoney-fintoc-cli node bin/cli.js "${CLI_ARGS[@]}"
 else
     echo -e "${GREEN}🚀 Starting server mode...${NC}"
     echo -e "${BLUE}Health check: http://localhost:5000/health${NC}"
@@ -4,15 +4,36 @@ const axios = require('axios');
 const { sync } = require('./src/sync');
 const { loadConfig } = require('./src/config');
 const { getMemoryStats } = require('./src/memory');
-const { buildMemoryFromLunchMoney } = require('./src/learnLunchMoney');
+const { rebuildMemory } = require('./src/learnLunchMoney');
 const { sanitizeErrorForLogging } = require('./src/utils');
+const { listReviewItems, resolveReviewItem, skipReviewItem } = require('./src/reviewQueue');
+const { listRuns, getRun } = require('./src/runJournal');
+const { rollbackRun } = require('./src/rollback');
+const { requireAuth } = require('./src/auth');
+const { withLock, getLockHolder, describeHolder } = require('./src/lock');
+const {
+  SYNC_EVENTS,
+  verifyFintocSignature,
+  accountIdFromEvent,
+  createSyncDebouncer
+} = require('./src/webhooks');
+const { buildJobs, isQuietTime, nextRunTimes } = require('./src/schedules');
+const { instrumentAxios, renderMetrics } = require('./src/metrics');
+const { notifySyncResult, sendDigest } = require('./src/notifier');
 const chalk = require('chalk');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Add JSON middleware
-app.use(express.json());
+// Time Fintoc and Lunch Money requests for /metrics
+instrumentAxios(axios);
+
+// Add JSON middleware, keeping the raw body for signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Server statistics
 let serverStats = {
@@ -21,14 +42,50 @@ let serverStats = {
   lastMemoryUpdate: null,
   totalSyncs: 0,
   totalErrors: 0,
-  lastError: null
+  lastError: null,
+  lastSyncAccounts: []
 };
 
+/**
+ * Respond with 409 because another sync, rebuild or rollback holds the lock
+ * @param {Object} res Express response
+ * @param {Object} holder Current lock holder
+ */
+function respondLocked(res, holder) {
+  res.status(409).json({
+    success: false,
+    error: `Another operation is running: ${describeHolder(holder)}`,
+    lock: holder,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Reduce a sync() result to the per-account counts kept in serverStats.
+ * @param {Object} result Result returned by sync()
+ * @returns {Array<Object>} One entry per configured account
+ */
+function summarizeAccounts(result) {
+  return result.accounts.map(({ account, success, inserted, skipped, errors }) => ({
+    account,
+    success,
+    inserted,
+    skipped,
+    errors
+  }));
+}
+
 async function updateMemory() {
   try {
-    console.log(chalk.blue('🔄 Rebuilding memory from Lunch Money'));
     const config = loadConfig();
-    const memory = await buildMemoryFromLunchMoney(config.lunchmoneyToken);
+    const { acquired, holder } = await withLock({ operation: 'memory_rebuild', trigger: 'cron' }, () => {
+      console.log(chalk.blue('🔄 Rebuilding memory from Lunch Money'));
+      return rebuildMemory(config, { incremental: true });
+    });
+    if (!acquired) {
+      console.log(chalk.yellow(`⚠ Skipping memory rebuild, another operation is running: ${describeHolder(holder)}`));
+      return;
+    }
     serverStats.lastMemoryUpdate = new Date().toISOString();
     console.log(chalk.green('✓ Memory rebuild completed'));
   } catch (error) {
@@ -43,26 +100,63 @@ async function updateMemory() {
   }
 }
 
-async function runScheduledSync() {
+/**
+ * Update serverStats and log the outcome of a background sync
+ * @param {Object} result Result returned by sync()
+ * @param {string} operation Operation name used in lastError
+ */
+function recordSyncResult(result, operation) {
+  serverStats.lastSync = new Date().toISOString();
+  serverStats.totalSyncs++;
+  
+  serverStats.lastSyncAccounts = summarizeAccounts(result);
+
+  if (result.success) {
+    console.log(chalk.green(`✓ Sync completed: ${result.inserted} inserted, ${result.skipped} skipped`));
+  } else {
+    const failedAccounts = result.accounts.filter(r => !r.success).map(r => r.account);
+    console.log(chalk.yellow(`⚠ Sync completed with errors: ${result.errors} errors (${failedAccounts.join(', ')})`));
+    serverStats.totalErrors++;
+    serverStats.lastError = {
+      timestamp: new Date().toISOString(),
+      operation,
+      message: `Sync completed with ${result.errors} errors`,
+      accounts: failedAccounts
+    };
+  }
+}
+
+/**
+ * Notify the configured channels of a sync that failed before it produced a
+ * result, as a failure of every account it covered
+ * @param {string[]} accountNames Names of the accounts the sync covered
+ * @param {Error} error Error thrown by the sync
+ */
+function notifySyncError(accountNames, error) {
+  notifySyncResult(loadConfig(), {
+    accounts: accountNames.map(account => ({ account, success: false, error: error.message }))
+  });
+}
+
+/**
+ * Incrementally sync the accounts covered by a scheduled sync job
+ * @param {string[]} accountNames Names of the accounts to sync
+ */
+async function runScheduledSync(accountNames) {
   try {
-    console.log(chalk.blue('🔃 Running scheduled sync...'));
     const config = loadConfig();
-    const result = await sync({ config });
-    
-    serverStats.lastSync = new Date().toISOString();
-    serverStats.totalSyncs++;
-    
-    if (result.success) {
-      console.log(chalk.green(`✓ Sync completed: ${result.inserted} inserted, ${result.skipped} skipped`));
-    } else {
-      console.log(chalk.yellow(`⚠ Sync completed with errors: ${result.errors} errors`));
-      serverStats.totalErrors++;
-      serverStats.lastError = {
-        timestamp: new Date().toISOString(),
-        operation: 'scheduled_sync',
-        message: `Sync completed with ${result.errors} errors`
-      };
+    const accounts = config.accounts.filter(account => accountNames.includes(account.name));
+    if (accounts.length === 0) return;
+    const { acquired, holder, result } = await withLock({ operation: 'sync', trigger: 'cron' }, () => {
+      console.log(chalk.blue(`🔃 Running scheduled sync of ${accounts.map(account => account.name).join(', ')}...`));
+      return sync({ config, accountNames: accounts.map(account => account.name), incremental: true, trigger: 'cron' });
+    });
+    if (!acquired) {
+      console.log(chalk.yellow(`⚠ Skipping scheduled sync, another operation is running: ${describeHolder(holder)}`));
+      return;
     }
+    recordSyncResult(result, 'scheduled_sync');
+    notifySyncResult(config, result);
   } catch (error) {
     const sanitizedError = sanitizeErrorForLogging(error, { operation: 'scheduled_sync' });
     console.error(chalk.red('Error in scheduled sync:'), error.message);
@@ -72,20 +166,100 @@ async function runScheduledSync() {
       operation: 'scheduled_sync',
       message: error.message
     };
+    notifySyncError(accountNames, error);
   }
 }
 
-// Schedule tasks
-cron.schedule('0 3 * * *', updateMemory, {
-  name: 'daily-memory-update',
-  timezone: 'UTC'
-});
+/**
+ * Incrementally sync the accounts named by Fintoc webhooks
+ * @param {string[]} accountIds Fintoc account IDs
+ * @returns {Promise<boolean>} False if another operation holds the lock, so
+ *   the accounts are retried later
+ */
+async function runWebhookSync(accountIds) {
+  const config = loadConfig();
+  const accounts = config.accounts.filter(account => accountIds.includes(account.finocLinkId));
+  if (accounts.length === 0) return true;
+
+  try {
+    const { acquired, holder, result } = await withLock({ operation: 'sync', trigger: 'webhook' }, () => {
+      console.log(chalk.blue(`🔔 Webhook sync of ${accounts.map(account => account.name).join(', ')}`));
+      return sync({ config, accountNames: accounts.map(account => account.name), incremental: true, trigger: 'webhook' });
+    });
+    if (!acquired) {
+      console.log(chalk.yellow(`⚠ Delaying webhook sync, another operation is running: ${describeHolder(holder)}`));
+      return false;
+    }
+    recordSyncResult(result, 'webhook_sync');
+    notifySyncResult(config, result);
+  } catch (error) {
+    console.error(chalk.red('Error in webhook sync:'), error.message);
+    serverStats.totalErrors++;
+    serverStats.lastError = {
+      timestamp: new Date().toISOString(),
+      operation: 'webhook_sync',
+      message: error.message
+    };
+    notifySyncError(accounts.map(account => account.name), error);
+  }
+  return true;
+}
 
-cron.schedule('0 * * * *', runScheduledSync, {
-  name: 'hourly-sync',
-  timezone: 'UTC'
+// A burst of webhook events becomes one sync of the affected accounts
+const webhookSyncs = createSyncDebouncer({
+  delayMs: loadConfig().webhooks.debounceSeconds * 1000,
+  run: runWebhookSync
 });
 
+// Scheduled jobs from config.json, with their node-cron task (null if disabled)
+let scheduledJobs = [];
+let schedulesLoadedAt = null;
+
+/**
+ * Run a scheduled job unless it is in its quiet hours
+ * @param {Object} job Job from buildJobs()
+ */
+async function runJob(job) {
+  if (isQuietTime(job.quietHours, job.timezone)) {
+    console.log(chalk.gray(`Skipping ${job.name} during quiet hours (${job.quietHours.start}-${job.quietHours.end} ${job.timezone})`));
+    return;
+  }
+  if (job.type === 'memory_rebuild') {
+    await updateMemory();
+  } else if (job.type === 'digest') {
+    await sendDigest(loadConfig());
+  } else {
+    await runScheduledSync(job.accounts);
+  }
+}
+
+/**
+ * (Re)create the scheduled jobs from the current config.  An invalid
+ * config throws before the running jobs are touched.
+ */
+function loadSchedules() {
+  const jobs = buildJobs(loadConfig());
+
+  for (const { job, task } of scheduledJobs) {
+    if (task) task.stop();
+    cron.getTasks().delete(job.name);
+  }
+  scheduledJobs = jobs.map(job => ({
+    job,
+    task: job.enabled
+      ? cron.schedule(job.cron, () => runJob(job), { name: job.name, timezone: job.timezone })
+      : null
+  }));
+  schedulesLoadedAt = new Date().toISOString();
+
+  for (const { job } of scheduledJobs) {
+    const accounts = job.accounts ? ` [${job.accounts.join(', ')}]` : '';
+    console.log(job.enabled
+      ? chalk.blue(`⏰ ${job.name}${accounts}: "${job.cron}" ${job.timezone}${job.quietHours ? `, quiet ${job.quietHours.start}-${job.quietHours.end}` : ''}`)
+      : chalk.gray(`⏰ ${job.name}: disabled`));
+  }
+}
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
@@ -144,27 +318,64 @@ app.get('/stats', (req, res) => {
   
   res.json({
     server: serverStats,
+    // From the run journal, so it survives restarts
+    last_run: listRuns({ limit: 1 }).runs[0] || null,
     memory: memoryStats,
-    cron_jobs: cron.getTasks().size
+    // Sync, rebuild or rollback in progress in any process sharing the data dir
+    lock: getLockHolder(),
+    cron_jobs: scheduledJobs.filter(({ task }) => task).length
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Scheduled jobs and their next run times
+app.get('/schedules', (req, res) => {
+  const now = new Date();
+  res.json({
+    loaded_at: schedulesLoadedAt,
+    jobs: scheduledJobs.map(({ job }) => ({
+      name: job.name,
+      type: job.type,
+      accounts: job.accounts,
+      enabled: job.enabled,
+      cron: job.cron,
+      timezone: job.timezone,
+      quiet_hours: job.quietHours,
+      quiet_now: isQuietTime(job.quietHours, job.timezone, now),
+      next_runs: job.enabled
+        ? nextRunTimes(job.cron, job.timezone, { from: now, count: 3 }).map(date => date.toISOString())
+        : []
+    })),
+    timestamp: now.toISOString()
   });
 });
 
 // Manual sync endpoint
-app.post('/sync', async (req, res) => {
+app.post('/sync', requireAuth, async (req, res) => {
   try {
-    const { dryRun = false } = req.body;
-    console.log(chalk.blue(`🔄 Manual sync triggered (dry-run: ${dryRun})`));
-    
+    const { dryRun = false } = req.body || {};
     const config = loadConfig();
-    const result = await sync({ config, dryRun });
-    
+    const { acquired, holder, result } = await withLock({ operation: 'sync', trigger: 'manual' }, () => {
+      console.log(chalk.blue(`🔄 Manual sync triggered (dry-run: ${dryRun})`));
+      return sync({ config, dryRun, trigger: 'manual' });
+    });
+    if (!acquired) {
+      return respondLocked(res, holder);
+    }
+
     if (!dryRun) {
       serverStats.lastSync = new Date().toISOString();
       serverStats.totalSyncs++;
+      serverStats.lastSyncAccounts = summarizeAccounts(result);
       
       if (!result.success) {
         serverStats.totalErrors++;
       }
+      notifySyncResult(config, result);
     }
     
     res.json({
@@ -180,6 +391,9 @@ app.post('/sync', async (req, res) => {
       operation: 'manual_sync',
       message: error.message
     };
+    if (!(req.body && req.body.dryRun)) {
+      notifySyncError(loadConfig().accounts.map(account => account.name), error);
+    }
     
     res.status(500).json({
       success: false,
@@ -189,18 +403,116 @@ app.post('/sync', async (req, res) => {
   }
 });
 
+// Fintoc webhook receiver, authenticated by Fintoc's signature
+app.post('/webhooks/fintoc', (req, res) => {
+  const config = loadConfig();
+  if (!config.webhooks.fintocSecret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Fintoc webhooks are not configured (set FINTOC_WEBHOOK_SECRET)',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const invalid = verifyFintocSignature(req.rawBody, req.get('fintoc-signature'), config.webhooks.fintocSecret);
+  if (invalid) {
+    return res.status(401).json({
+      success: false,
+      error: invalid,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Events that need no sync are acknowledged, so Fintoc does not retry them
+  const event = req.body || {};
+  if (!SYNC_EVENTS.includes(event.type)) {
+    return res.json({
+      success: true,
+      ignored: `event type "${event.type}" does not trigger a sync`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  const accountId = accountIdFromEvent(event);
+  const account = config.accounts.find(entry => entry.finocLinkId && entry.finocLinkId === accountId);
+  if (!account) {
+    return res.json({
+      success: true,
+      ignored: `account "${accountId}" is not configured`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(chalk.blue(`🔔 Fintoc ${event.type} for ${account.name}, sync scheduled`));
+  webhookSyncs.schedule(accountId);
+  res.status(202).json({
+    success: true,
+    account: account.name,
+    pending: webhookSyncs.pending().length,
+    debounce_seconds: config.webhooks.debounceSeconds,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Read learning overrides for a memory rebuild from a request body using the
+ * config.json names (start_date, window_days, min_count,
+ * recency_half_life_days, incremental)
+ * @param {Object} body Request body
+ * @returns {{overrides: Object, error: string|null}} Overrides for rebuildMemory()
+ */
+function parseLearningOverrides(body = {}) {
+  const overrides = {};
+  if (body.start_date !== undefined) {
+    if (typeof body.start_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(body.start_date)) {
+      return { overrides, error: '"start_date" must be a YYYY-MM-DD date' };
+    }
+    overrides.startDate = body.start_date;
+  }
+  // Field -> [option name, whether null (no limit / no weighting) is allowed]
+  const numbers = {
+    window_days: ['windowDays', true],
+    min_count: ['minCount', false],
+    recency_half_life_days: ['recencyHalfLifeDays', true]
+  };
+  for (const [field, [option, nullable]] of Object.entries(numbers)) {
+    if (body[field] === undefined) continue;
+    if (!(nullable && body[field] === null) && !(typeof body[field] === 'number' && body[field] > 0)) {
+      return { overrides, error: `"${field}" must be a positive number${nullable ? ' or null' : ''}` };
+    }
+    overrides[option] = body[field];
+  }
+  if (body.incremental !== undefined) {
+    overrides.incremental = body.incremental === true;
+  }
+  return { overrides, error: null };
+}
+
 // Manual memory rebuild endpoint
-app.post('/rebuild-memory', async (req, res) => {
+app.post('/rebuild-memory', requireAuth, async (req, res) => {
+  const { overrides, error: invalid } = parseLearningOverrides(req.body || {});
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   try {
-    console.log(chalk.blue('🔄 Manual memory rebuild triggered'));
     const config = loadConfig();
-    const memory = await buildMemoryFromLunchMoney(config.lunchmoneyToken);
-    
+    const { acquired, holder, result: memory } = await withLock({ operation: 'memory_rebuild', trigger: 'manual' }, () => {
+      console.log(chalk.blue('🔄 Manual memory rebuild triggered'));
+      return rebuildMemory(config, overrides);
+    });
+    if (!acquired) {
+      return respondLocked(res, holder);
+    }
+
     serverStats.lastMemoryUpdate = new Date().toISOString();
     
     res.json({
       success: true,
-      entries: Object.keys(memory).length,
+      entries: Object.keys(memory.payees).length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -220,6 +532,161 @@ app.post('/rebuild-memory', async (req, res) => {
   }
 });
 
+// Review queue endpoints
+app.get('/review', (req, res) => {
+  const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+  const items = listReviewItems({ status });
+  res.json({
+    count: items.length,
+    items
+  });
+});
+
+/**
+ * Respond with 404 if a review item does not exist
+ * @param {Object} req Express request with an `id` route parameter
+ * @param {Object} res Express response
+ * @returns {boolean} True if the item exists
+ */
+function requireReviewItem(req, res) {
+  const exists = listReviewItems({ status: null }).some(item => item.id === req.params.id);
+  if (!exists) {
+    res.status(404).json({
+      success: false,
+      error: `Review item "${req.params.id}" not found`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return exists;
+}
+
+app.post('/review/:id/resolve', requireAuth, async (req, res) => {
+  if (!requireReviewItem(req, res)) return;
+  const { category } = req.body || {};
+  if (!category) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing "category" in request body',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const config = loadConfig();
+    // The memory update must not interleave with a sync or rebuild saving it
+    const { acquired, holder, result: item } = await withLock({ operation: 'review', trigger: 'manual' }, () =>
+      resolveReviewItem({ token: config.lunchmoneyToken, id: req.params.id, category }));
+    if (!acquired) {
+      return respondLocked(res, holder);
+    }
+    res.json({
+      success: true,
+      item,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/review/:id/skip', requireAuth, async (req, res) => {
+  if (!requireReviewItem(req, res)) return;
+  try {
+    // A sync appending review items must not be overwritten by this write
+    const { acquired, holder, result: item } = await withLock({ operation: 'review', trigger: 'manual' }, () =>
+      skipReviewItem(req.params.id));
+    if (!acquired) {
+      return respondLocked(res, holder);
+    }
+    res.json({
+      success: true,
+      item,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sync run journal endpoints
+app.get('/runs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { total, runs } = listRuns({ limit, offset });
+  res.json({
+    total,
+    count: runs.length,
+    runs
+  });
+});
+
+app.get('/runs/:id', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: `Run "${req.params.id}" not found`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  res.json(run);
+});
+
+app.post('/runs/:id/rollback', requireAuth, async (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: `Run "${req.params.id}" not found`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (run.dryRun) {
+    return res.status(400).json({
+      success: false,
+      error: `Run "${req.params.id}" was a dry run and inserted nothing`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const { dryRun = false } = req.body || {};
+    const config = loadConfig();
+    const { acquired, holder, result: report } = await withLock({ operation: 'rollback', trigger: 'manual' }, () => {
+      console.log(chalk.blue(`↩️  Rollback of run ${req.params.id} triggered (dry-run: ${dryRun})`));
+      return rollbackRun({ token: config.lunchmoneyToken, runId: req.params.id, dryRun });
+    });
+    if (!acquired) {
+      return respondLocked(res, holder);
+    }
+    res.json({
+      success: report.errors.length === 0,
+      result: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    serverStats.totalErrors++;
+    serverStats.lastError = {
+      timestamp: new Date().toISOString(),
+      operation: 'rollback',
+      message: error.message
+    };
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -229,30 +696,72 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       stats: '/stats',
+      schedules: 'GET /schedules',
+      metrics: 'GET /metrics',
       manual_sync: 'POST /sync',
-      rebuild_memory: 'POST /rebuild-memory'
+      rebuild_memory: 'POST /rebuild-memory',
+      review: 'GET /review',
+      resolve_review: 'POST /review/:id/resolve',
+      skip_review: 'POST /review/:id/skip',
+      runs: 'GET /runs',
+      run: 'GET /runs/:id',
+      rollback_run: 'POST /runs/:id/rollback',
+      fintoc_webhook: 'POST /webhooks/fintoc'
     }
   });
 });
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log(chalk.yellow('SIGTERM received, shutting down gracefully'));
-  cron.getTasks().forEach(task => task.stop());
-  process.exit(0);
-});
+// Schedules, signal handlers and the listener are only set up when run as
+// `node server.js`, so tests can require the app
+if (require.main === module) {
+  try {
+    loadSchedules();
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
 
-process.on('SIGINT', () => {
-  console.log(chalk.yellow('SIGINT received, shutting down gracefully'));
-  cron.getTasks().forEach(task => task.stop());
-  process.exit(0);
-});
+  // Graceful shutdown handling
+  process.on('SIGTERM', () => {
+    console.log(chalk.yellow('SIGTERM received, shutting down gracefully'));
+    cron.getTasks().forEach(task => task.stop());
+    process.exit(0);
+  });
 
-app.listen(PORT, () => {
-  console.log(chalk.green(`🚀 Sync server running on port ${PORT}`));
-  console.log(chalk.blue(`📊 Health check: http://localhost:${PORT}/health`));
-  console.log(chalk.blue(`📈 Stats: http://localhost:${PORT}/stats`));
-  
-  // Initialize memory on startup
-  updateMemory();
-});
+  // Reload schedules from config.json without a restart
+  process.on('SIGHUP', () => {
+    console.log(chalk.yellow('SIGHUP received, reloading schedules'));
+    try {
+      loadSchedules();
+    } catch (error) {
+      console.error(chalk.red(`${error.message}; keeping the previous schedules`));
+    }
+  });
+
+  process.on('SIGINT', () => {
+    console.log(chalk.yellow('SIGINT received, shutting down gracefully'));
+    cron.getTasks().forEach(task => task.stop());
+    process.exit(0);
+  });
+
+  app.listen(PORT, () => {
+    console.log(chalk.green(`🚀 Sync server running on port ${PORT}`));
+    console.log(chalk.blue(`📊 Health check: http://localhost:${PORT}/health`));
+    console.log(chalk.blue(`📈 Stats: http://localhost:${PORT}/stats`));
+    const { auth } = loadConfig();
+    if (!auth.apiToken && !auth.hmacSecret) {
+      console.warn(auth.allowUnauthenticated
+        ? chalk.yellow('⚠ ALLOW_UNAUTHENTICATED=1: anyone who can reach this port can trigger syncs')
+        : chalk.yellow('⚠ SYNC_API_TOKEN and SYNC_API_HMAC_SECRET are not set: the endpoints that change data answer 503'));
+    }
+
+    // Initialize memory on startup, unless rebuilds are turned off
+    if (loadConfig().schedules.memoryRebuild.enabled) {
+      updateMemory();
+    }
+  });
+}
+
+module.exports = {
+  app
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { loadConfig } = require('./config');
+
+// Signed requests older or newer than this are rejected, against replays
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Compute the signature of a request body
+ * @param {string} secret Shared HMAC secret
+ * @param {string|number} timestamp Unix time in seconds sent in X-Timestamp
+ * @param {string} body Raw request body
+ * @returns {string} "sha256=<hex digest>" of "<timestamp>.<body>"
+ */
+function signRequest(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a request's credentials against the configured bearer token and
+ * HMAC secret.  Either one is enough when both are configured.
+ * @param {Object} req Express request; `rawBody` holds the unparsed body
+ * @param {{apiToken: string|null, hmacSecret: string|null}} auth Configured credentials
+ * @returns {string|null} Why the request is rejected, or null if it is authenticated
+ */
+function checkRequest(req, { apiToken, hmacSecret }) {
+  const authorization = req.get('authorization') || '';
+  if (apiToken && authorization.startsWith('Bearer ')) {
+    return safeEqual(authorization.slice('Bearer '.length).trim(), apiToken) ? null : 'Invalid bearer token';
+  }
+
+  const signature = req.get('x-signature');
+  if (hmacSecret && signature) {
+    const timestamp = req.get('x-timestamp');
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!timestamp || !(age <= MAX_SIGNATURE_AGE_SECONDS)) {
+      return 'Missing or expired X-Timestamp';
+    }
+    const expected = signRequest(hmacSecret, timestamp, req.rawBody ? req.rawBody.toString('utf8') : '');
+    return safeEqual(signature, expected) ? null : 'Invalid signature';
+  }
+
+  return 'Authentication required';
+}
+
+/**
+ * Express middleware that rejects unauthenticated requests with 401.
+ * Without SYNC_API_TOKEN or SYNC_API_HMAC_SECRET every request is rejected
+ * with 503, unless ALLOW_UNAUTHENTICATED=1 deliberately opens the endpoints.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Next middleware
+ */
+function requireAuth(req, res, next) {
+  const { auth } = loadConfig();
+  if (!auth.apiToken && !auth.hmacSecret) {
+    if (auth.allowUnauthenticated) {
+      return next();
+    }
+    return res.status(503).json({
+      success: false,
+      error: 'Authentication is not configured: set SYNC_API_TOKEN or SYNC_API_HMAC_SECRET, or ALLOW_UNAUTHENTICATED=1 to leave this endpoint open',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const error = checkRequest(req, auth);
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      error,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+module.exports = {
+  safeEqual,
+  signRequest,
+  checkRequest,
+  requireAuth
+};
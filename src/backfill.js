@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { DATA_DIR } = require('./memory');
+const { sync } = require('./sync');
+
+const CHECKPOINT_FILE = path.join(DATA_DIR, 'backfill_state.json');
+
+/**
+ * Load the checkpoint of the last backfill
+ * @returns {Object|null} Checkpoint or null if there is none
+ */
+function loadCheckpoint() {
+  try {
+    if (fs.existsSync(CHECKPOINT_FILE)) {
+      return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load backfill checkpoint:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Save the backfill checkpoint to persistent storage
+ * @param {Object} checkpoint Checkpoint to save
+ */
+function saveCheckpoint(checkpoint) {
+  try {
+    fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(checkpoint, null, 2));
+  } catch (error) {
+    console.error('Error saving backfill checkpoint:', error.message);
+  }
+}
+
+/**
+ * Split a date range into calendar-month chunks
+ * @param {string} from First date (YYYY-MM-DD), inclusive
+ * @param {string} to Last date (YYYY-MM-DD), inclusive
+ * @returns {Array<{since: string, until: string}>} Chunks, oldest first
+ */
+function monthlyChunks(from, to) {
+  const chunks = [];
+  let since = from;
+  while (since <= to) {
+    const start = new Date(`${since}T00:00:00Z`);
+    const monthEnd = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0))
+      .toISOString()
+      .slice(0, 10);
+    const until = monthEnd < to ? monthEnd : to;
+    chunks.push({ since, until });
+    const next = new Date(`${until}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    since = next.toISOString().slice(0, 10);
+  }
+  return chunks;
+}
+
+/**
+ * Import history between two dates, one month at a time.  Every finished
+ * month is checkpointed, so running the same backfill again after an
+ * interruption or failure, for the same accounts, resumes with the first
+ * unfinished month.  Each month is a regular sync run with the usual
+ * duplicate detection, so re-running a month never inserts its
+ * transactions twice.
+ * @param {Object} options
+ * @param {Object} options.config Configuration object returned by loadConfig()
+ * @param {string[]|null} [options.accountNames] Accounts to backfill, all if null
+ * @param {string} options.from First date (YYYY-MM-DD), inclusive
+ * @param {string} options.to Last date (YYYY-MM-DD), inclusive
+ * @param {boolean} [options.dryRun] Only output what would be done; no checkpoint is written
+ * @param {boolean} [options.restart] Ignore an existing checkpoint for the same range
+ * @returns {Promise<{success: boolean, chunks: Array<Object>, resumed: number}>}
+ *   Per-chunk summaries and the number of chunks skipped as already done
+ */
+async function backfill({ config, accountNames = null, from, to, dryRun = false, restart = false }) {
+  const chunks = monthlyChunks(from, to);
+  const accounts = (accountNames || config.accounts.map(account => account.name)).slice().sort();
+  const previous = loadCheckpoint();
+  const canResume = !restart && !dryRun && previous && previous.from === from && previous.to === to &&
+    !previous.finishedAt && (previous.accounts || []).join('\n') === accounts.join('\n');
+  const checkpoint = canResume
+    ? previous
+    : { from, to, accounts, startedAt: new Date().toISOString(), finishedAt: null, chunks: [] };
+  const done = new Set(checkpoint.chunks.filter(chunk => chunk.success).map(chunk => chunk.since));
+
+  if (canResume && done.size > 0) {
+    console.log(chalk.blue(`Resuming backfill ${from} → ${to}: ${done.size}/${chunks.length} month(s) already done`));
+  } else {
+    console.log(chalk.blue(`Backfilling ${from} → ${to} in ${chunks.length} month(s)${dryRun ? ' (dry run)' : ''}`));
+  }
+
+  const summaries = [];
+  let success = true;
+  for (const [index, range] of chunks.entries()) {
+    if (done.has(range.since)) continue;
+
+    console.log(chalk.blue.bold(`\n=== Chunk ${index + 1}/${chunks.length}: ${range.since} → ${range.until} ===`));
+    let summary;
+    try {
+      const result = await sync({ config, accountNames, dryRun, range, trigger: 'backfill' });
+      summary = {
+        ...range,
+        success: result.success,
+        runId: result.runId,
+        processed: result.processed,
+        inserted: result.inserted,
+        skipped: result.skipped,
+        errors: result.errors,
+        completedAt: new Date().toISOString()
+      };
+    } catch (err) {
+      summary = { ...range, success: false, error: err.message, completedAt: new Date().toISOString() };
+    }
+    summaries.push(summary);
+
+    const line = `Chunk ${range.since} → ${range.until}: ${summary.inserted || 0} ${dryRun ? 'would be inserted' : 'inserted'}, ` +
+      `${summary.skipped || 0} skipped, ${summary.errors ?? 1} errors${summary.runId ? ` (run ${summary.runId})` : ''}`;
+    console.log(summary.success ? chalk.green(`✓ ${line}`) : chalk.red(`✗ ${line}`));
+
+    if (!dryRun) {
+      checkpoint.chunks = checkpoint.chunks.filter(chunk => chunk.since !== range.since).concat(summary);
+      saveCheckpoint(checkpoint);
+    }
+    if (!summary.success) {
+      success = false;
+      console.error(chalk.red('Backfill stopped. Run the same command again to resume from this month.'));
+      break;
+    }
+  }
+
+  if (success && !dryRun) {
+    checkpoint.finishedAt = new Date().toISOString();
+    saveCheckpoint(checkpoint);
+  }
+
+  return { success, chunks: summaries, resumed: canResume ? done.size : 0 };
+}
+
+module.exports = {
+  monthlyChunks,
+  backfill
+};
@@ -1,67 +1,76 @@
 const axios = require('axios');
-const { loadMemory, saveMemory } = require('./memory');
+const { loadMemory, saveMemory, getPreferredCategory, recordCategory } = require('./memory');
+const { findMatchingRule } = require('./rules');
+const { loadClassifier, predictCategory } = require('./classifier');
+const { buildMemoryIndex } = require('./memoryIndex');
+const { recordCategorization } = require('./metrics');
 
-// Cached categories map keyed by lower‑case category name
+// Cached category lookup, see buildCategoryLookup()
 let categoriesCache = null;
+// How long fetched categories are used before fetching them again
+const CATEGORY_CACHE_TTL_MS = 15 * 60 * 1000;
+// Minimum age of the cache before a lookup miss triggers a refetch
+const CATEGORY_MISS_REFRESH_MS = 60 * 1000;
+// Unknown category names already warned about since the last fetch
+const warnedCategories = new Set();
 let memoryCache = null;
+// N-gram index over confirmed memory payees, built when memory is loaded
+let memoryIndex = null;
+// Trained classifier, or false if none has been trained yet
+let classifierCache = null;
+// Whether memoryCache has changes not yet written by flushMemory()
+let memoryDirty = false;
 
 /**
- * Simple string similarity calculation (Dice coefficient)
- * @param {string} str1 First string
- * @param {string} str2 Second string
- * @returns {number} Similarity score between 0 and 1
+ * Build the category lookup from the Lunch Money category list.  Categories
+ * are reachable by "Group/Category" and, when the name is unique, by plain
+ * name.  Archived categories and category groups themselves are skipped.
+ * @param {Array<Object>} categories Categories from the Lunch Money API
+ * @returns {{fetchedAt: number, ids: Object<string, number>, ambiguous: Object<string, string[]>, names: string[]}}
+ *   Lookup keyed by lower-case name
  */
-function calculateSimilarity(str1, str2) {
-  if (!str1 || !str2) return 0;
-  
-  const a = str1.toLowerCase();
-  const b = str2.toLowerCase();
-  
-  if (a === b) return 1;
-  if (a.length < 2 || b.length < 2) return 0;
-  
-  const aBigrams = new Set();
-  for (let i = 0; i < a.length - 1; i++) {
-    aBigrams.add(a.substr(i, 2));
+function buildCategoryLookup(categories) {
+  const groupNames = {};
+  for (const cat of categories) {
+    if (cat.is_group && cat.name) {
+      groupNames[cat.id] = cat.name;
+    }
   }
-  
-  const bBigrams = new Set();
-  for (let i = 0; i < b.length - 1; i++) {
-    bBigrams.add(b.substr(i, 2));
+
+  const ids = {};
+  const byPlainName = {};
+  const names = [];
+  for (const cat of categories) {
+    if (!cat.name || cat.id == null || cat.is_group || cat.archived) continue;
+    const groupName = cat.group_id != null ? groupNames[cat.group_id] : null;
+    const displayName = groupName ? `${groupName}/${cat.name}` : cat.name;
+    ids[displayName.toLowerCase()] = cat.id;
+    names.push(displayName);
+    const key = cat.name.toLowerCase();
+    (byPlainName[key] = byPlainName[key] || []).push({ id: cat.id, displayName });
   }
-  
-  const intersection = new Set([...aBigrams].filter(x => bBigrams.has(x)));
-  return (2 * intersection.size) / (aBigrams.size + bBigrams.size);
-}
 
-/**
- * Find the best matching string from a list
- * @param {string} target Target string to match
- * @param {string[]} candidates List of candidate strings
- * @returns {Object} Best match result with target and rating
- */
-function findBestMatch(target, candidates) {
-  let bestMatch = { target: null, rating: 0 };
-  
-  for (const candidate of candidates) {
-    const rating = calculateSimilarity(target, candidate);
-    if (rating > bestMatch.rating) {
-      bestMatch = { target: candidate, rating };
+  const ambiguous = {};
+  for (const [key, matches] of Object.entries(byPlainName)) {
+    if (matches.length === 1) {
+      ids[key] = matches[0].id;
+    } else {
+      ambiguous[key] = matches.map(match => match.displayName);
     }
   }
-  
-  return { bestMatch };
+
+  return { fetchedAt: Date.now(), ids, ambiguous, names };
 }
 
 /**
- * Retrieve all categories from Lunch Money and build a mapping from lower‑case
- * category name to ID.  The result is cached for subsequent calls.
- *
- * @param {string} token Lunch Money API token.
- * @returns {Promise<Object<string, number>>}
+ * Fetch categories from Lunch Money into the cache, unless the cached copy
+ * is younger than maxAge
+ * @param {string} token Lunch Money API token
+ * @param {number} maxAge Maximum cache age in milliseconds
+ * @returns {Promise<Object>} Lookup from buildCategoryLookup()
  */
-async function getCategoriesMap(token) {
-  if (categoriesCache) {
+async function loadCategories(token, maxAge = CATEGORY_CACHE_TTL_MS) {
+  if (categoriesCache && Date.now() - categoriesCache.fetchedAt < maxAge) {
     return categoriesCache;
   }
   try {
@@ -71,15 +80,8 @@ async function getCategoriesMap(token) {
       }
     });
     const categories = response.data.categories || response.data || [];
-    const map = {};
-    if (Array.isArray(categories)) {
-      for (const cat of categories) {
-        if (cat.name && cat.id != null) {
-          map[cat.name.toLowerCase()] = cat.id;
-        }
-      }
-    }
-    categoriesCache = map;
+    categoriesCache = buildCategoryLookup(Array.isArray(categories) ? categories : []);
+    warnedCategories.clear();
     return categoriesCache;
   } catch (err) {
     throw new Error(`Failed to fetch categories: ${err.response?.data?.error || err.message}`);
@@ -87,15 +89,120 @@ async function getCategoriesMap(token) {
 }
 
 /**
- * Get category ID by name
+ * Retrieve all categories from Lunch Money and build a mapping from lower‑case
+ * category name to ID.  Both "group/category" and unique plain names are
+ * keys.  The result is cached for CATEGORY_CACHE_TTL_MS.
+ *
+ * @param {string} token Lunch Money API token.
+ * @returns {Promise<Object<string, number>>}
+ */
+async function getCategoriesMap(token) {
+  const lookup = await loadCategories(token);
+  return lookup.ids;
+}
+
+/**
+ * List the categories that can be assigned
+ * @param {string} token Lunch Money API token
+ * @returns {Promise<Array<{id: number, name: string}>>} Categories, with
+ *   "Group/Category" names for grouped ones
+ */
+async function listCategories(token) {
+  const lookup = await loadCategories(token);
+  return lookup.names.map(name => ({ id: lookup.ids[name.toLowerCase()], name }));
+}
+
+/**
+ * Categories with names close to an unknown one
+ * @param {Object} lookup Lookup from buildCategoryLookup()
+ * @param {string} categoryName Unknown category name
+ * @param {number} limit Maximum number of alternatives
+ * @returns {string[]} Closest category names first
+ */
+function closeCategoryNames(lookup, categoryName, limit = 3) {
+  return buildMemoryIndex(lookup.names)
+    .findSimilar(categoryName, 0.4)
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, limit)
+    .map(match => match.target);
+}
+
+/**
+ * Warn once per cache refresh about a category name that cannot be used
+ * @param {Object} lookup Lookup from buildCategoryLookup()
+ * @param {string} categoryName Category name as configured
+ */
+function warnUnknownCategory(lookup, categoryName) {
+  const key = categoryName.toLowerCase();
+  if (warnedCategories.has(key)) return;
+  warnedCategories.add(key);
+
+  if (lookup.ambiguous[key]) {
+    console.warn(
+      `Warning: Category "${categoryName}" exists in several groups, use one of: ${lookup.ambiguous[key].map(name => `"${name}"`).join(', ')}`
+    );
+    return;
+  }
+  const alternatives = closeCategoryNames(lookup, categoryName);
+  console.warn(
+    `Warning: Category "${categoryName}" not found in Lunch Money` +
+    (alternatives.length > 0 ? `, did you mean ${alternatives.map(name => `"${name}"`).join(', ')}?` : '')
+  );
+}
+
+/**
+ * Get category ID by name.  Accepts "Group/Category" or a plain name that
+ * is unique across groups.  A miss refreshes the cached categories, at most
+ * once per CATEGORY_MISS_REFRESH_MS, so categories created since the last
+ * fetch are found; remaining misses are warned about with close alternatives.
  * @param {string} token Lunch Money API token
  * @param {string} categoryName Category name to look up
- * @returns {Promise<number|null>} Category ID or null if not found
+ * @returns {Promise<number|null>} Category ID or null if not found or ambiguous
  */
 async function getCategoryId(token, categoryName) {
   if (!categoryName) return null;
-  const categories = await getCategoriesMap(token);
-  return categories[categoryName.toLowerCase()] || null;
+  const key = categoryName.trim().toLowerCase();
+  let lookup = await loadCategories(token);
+  if (lookup.ids[key] == null && !lookup.ambiguous[key]) {
+    lookup = await loadCategories(token, CATEGORY_MISS_REFRESH_MS);
+  }
+  if (lookup.ids[key] == null) {
+    warnUnknownCategory(lookup, categoryName.trim());
+    return null;
+  }
+  return lookup.ids[key];
+}
+
+/**
+ * Qualify a category name with its group when the plain name is used in
+ * more than one group, so learned categories resolve unambiguously
+ * @param {string} token Lunch Money API token
+ * @param {string} categoryName Plain category name
+ * @param {string|null} groupName Name of the category's group
+ * @returns {Promise<string>} "Group/Category" if needed, else the plain name
+ */
+async function qualifyCategoryName(token, categoryName, groupName) {
+  const lookup = await loadCategories(token);
+  return groupName && lookup.ambiguous[categoryName.toLowerCase()]
+    ? `${groupName}/${categoryName}`
+    : categoryName;
+}
+
+/**
+ * Warn about configured category names that do not resolve, e.g. typos in
+ * category rules
+ * @param {string} token Lunch Money API token
+ * @param {string[]} categoryNames Category names to check
+ * @returns {Promise<string[]>} Names that do not resolve
+ */
+async function checkCategoryNames(token, categoryNames) {
+  const unknown = [];
+  for (const name of new Set(categoryNames.filter(Boolean))) {
+    if (!(await getCategoryId(token, name))) {
+      unknown.push(name);
+    }
+  }
+  return unknown;
 }
 
 /**
@@ -112,87 +219,234 @@ function sanitizePayee(payee) {
 }
 
 /**
- * Enhanced category assignment with fuzzy matching and learning
+ * Index the memory payees that may be used for matching, i.e. everything
+ * except unconfirmed fuzzy guesses
+ * @param {Object} memory Memory object
+ * @returns {Object} Index from buildMemoryIndex()
+ */
+function indexConfirmedEntries(memory) {
+  const payees = Object.entries(memory.payees)
+    .filter(([, entry]) => !entry.provisional && getPreferredCategory(entry))
+    .map(([payee]) => payee);
+  return buildMemoryIndex(payees);
+}
+
+/**
+ * Rank the categories of similar memory entries for the review queue
+ * @param {string} sanitizedPayee Payee to find candidates for
+ * @param {number} limit Maximum number of candidates
+ * @returns {Array<{category: string, confidence: number, payee: string}>} Best candidates first
+ */
+function rankCandidates(sanitizedPayee, limit = 3) {
+  const byCategory = {};
+  for (const { target: memorizedPayee, rating } of memoryIndex.findSimilar(sanitizedPayee, 0.4)) {
+    const preferred = getPreferredCategory(memoryCache.payees[memorizedPayee]);
+    const score = rating * preferred.confidence;
+    const current = byCategory[preferred.category];
+    if (!current || score > current.confidence) {
+      byCategory[preferred.category] = { category: preferred.category, confidence: score, payee: memorizedPayee };
+    }
+  }
+  return Object.values(byCategory)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * Drop the in-process memory so the next categorisation reloads it from disk.
+ * Called at the start of every sync run so long-running processes pick up
+ * rebuilt memory.
+ */
+function resetMemoryCache() {
+  memoryCache = null;
+  memoryIndex = null;
+  classifierCache = null;
+  memoryDirty = false;
+}
+
+/**
+ * Write memory learned during this sync run, once
+ * @returns {boolean} True if memory was written
+ */
+function flushMemory() {
+  if (!memoryCache || !memoryDirty) {
+    return false;
+  }
+  saveMemory(memoryCache);
+  memoryDirty = false;
+  return true;
+}
+
+/**
+ * Enhanced category assignment with fuzzy matching and learning.  Stages run
+ * in order: config rules, exact memory, fuzzy memory, then the offline
+ * classifier trained by buildMemoryFromLunchMoney().
  *
  * @param {string} token Lunch Money API token.
  * @param {string} payee Payee or description from Fintoc.
- * @param {Object<string,string>} categoryRules Mapping of search strings to category names.
- * @returns {Promise<number|null>} Category ID or null if no match found.
+ * @param {Object|Array} categoryRules Simple substring map or structured rules, see rules.js.
+ * @param {Object} [context] Transaction details used by structured rules.
+ * @param {number} [context.amount] Signed amount, negative for debits.
+ * @param {string} [context.date] ISO date (YYYY-MM-DD).
+ * @param {string} [context.account] Configured account name.
+ * @param {Object} [options]
+ * @param {number} [options.minConfidence] Memory and classifier matches scoring below this
+ *   are left uncategorised.
+ * @param {number} [options.reviewThreshold] Fuzzy or missing matches scoring below this
+ *   get review candidates.
+ * @returns {Promise<{categoryId: number|null, categoryName: string|null, matchSource: string|null, confidence: number, suggestion: Object|null, candidates: Array<Object>, memoryKey: string|null, rule: string|null, tags: string[], notes: string|null, payee: string|null}>}
+ *   Category ID (null if no match) with its confidence score, the rule that
+ *   fired and the extra fields it sets.  Matches rejected by the confidence
+ *   threshold are returned as `suggestion`, and weak results carry the top
+ *   `candidates` for the review queue.
  */
-async function assignCategoryId(token, payee, categoryRules = {}) {
-  if (!payee) return null;
+async function assignCategoryId(token, payee, categoryRules = {}, context = {}, { minConfidence = 0, reviewThreshold = 0 } = {}) {
+  const result = {
+    categoryId: null,
+    categoryName: null,
+    matchSource: null,
+    confidence: 0,
+    suggestion: null,
+    candidates: [],
+    memoryKey: null,
+    rule: null,
+    tags: [],
+    notes: null,
+    payee: null
+  };
+  if (!payee) return result;
   
   const sanitizedPayee = sanitizePayee(payee);
-  if (!sanitizedPayee) return null;
+  if (!sanitizedPayee) return result;
+  result.memoryKey = sanitizedPayee;
   
-  // Load memory once per sync session
+  // Load and index memory once per sync session.  Provisional entries added
+  // during the run are never matched, so the index stays valid.
   if (!memoryCache) {
     memoryCache = loadMemory();
+    memoryIndex = indexConfirmedEntries(memoryCache);
+  }
+  if (classifierCache === null) {
+    classifierCache = loadClassifier() || false;
   }
   
   let categoryName = null;
   let matchSource = null;
+  let confidence = 0;
+  let matchedPayee = null;
   
-  // 1. Exact config rule match (highest priority)
+  // 1. Config rule match (highest priority)
   const lowerPayee = sanitizedPayee.toLowerCase();
-  for (const [match, category] of Object.entries(categoryRules)) {
-    if (lowerPayee.includes(match.toLowerCase())) {
-      categoryName = category;
+  const rule = findMatchingRule(categoryRules, { ...context, payee: sanitizedPayee });
+  if (rule) {
+    result.rule = rule.name;
+    result.tags = rule.tags;
+    result.notes = rule.notes;
+    result.payee = rule.payee;
+    if (rule.category) {
+      categoryName = rule.category;
       matchSource = 'config_rule';
-      break;
+      confidence = 1;
     }
   }
   
-  // 2. Exact memory match
+  // 2. Exact memory match, preferring the payee's own entry over substrings
   if (!categoryName) {
-    for (const [memorizedPayee, category] of Object.entries(memoryCache)) {
-      if (lowerPayee.includes(memorizedPayee.toLowerCase())) {
-        categoryName = category;
-        matchSource = 'memory_exact';
-        break;
-      }
+    const ownEntry = memoryCache.payees[sanitizedPayee];
+    const contained = ownEntry && !ownEntry.provisional && getPreferredCategory(ownEntry)
+      ? sanitizedPayee
+      : memoryIndex.findContained(lowerPayee);
+    if (contained) {
+      const preferred = getPreferredCategory(memoryCache.payees[contained]);
+      categoryName = preferred.category;
+      confidence = preferred.confidence;
+      matchSource = 'memory_exact';
+      matchedPayee = contained;
     }
   }
   
   // 3. Fuzzy memory match (70% similarity threshold)
-  if (!categoryName && Object.keys(memoryCache).length > 0) {
-    const memorizedPayees = Object.keys(memoryCache);
-    const match = findBestMatch(sanitizedPayee, memorizedPayees);
+  if (!categoryName && memoryIndex.size > 0) {
+    const bestMatch = memoryIndex.findBestMatch(sanitizedPayee);
     
-    if (match.bestMatch.rating >= 0.7) {
-      categoryName = memoryCache[match.bestMatch.target];
-      matchSource = `memory_fuzzy_${Math.round(match.bestMatch.rating * 100)}%`;
+    if (bestMatch.rating >= 0.7) {
+      const preferred = getPreferredCategory(memoryCache.payees[bestMatch.target]);
+      categoryName = preferred.category;
+      confidence = preferred.confidence * bestMatch.rating;
+      matchSource = `memory_fuzzy_${Math.round(bestMatch.rating * 100)}%`;
+      matchedPayee = bestMatch.target;
     }
   }
   
-  // 4. Save successful match to memory (except config rules)
-  if (categoryName && matchSource !== 'config_rule') {
-    const existingEntry = memoryCache[sanitizedPayee];
-    if (!existingEntry || existingEntry !== categoryName) {
-      memoryCache[sanitizedPayee] = categoryName;
-      saveMemory(memoryCache);
-      console.log(`🧠 Learned: "${sanitizedPayee}" → "${categoryName}" (${matchSource})`);
+  // 3b. Offline classifier for payees memory has never seen
+  let predictions = [];
+  if (!categoryName && classifierCache) {
+    predictions = predictCategory(classifierCache, { payee: sanitizedPayee, amount: context.amount, date: context.date });
+    if (predictions.length > 0) {
+      categoryName = predictions[0].category;
+      confidence = predictions[0].probability;
+      matchSource = 'classifier';
     }
   }
   
-  // 5. Look up category ID
+  // 4. Leave weak memory matches uncategorised
+  if (categoryName && matchSource !== 'config_rule' && confidence < minConfidence) {
+    result.suggestion = { category: categoryName, confidence, matchSource };
+    console.log(
+      `🤔 Low confidence for "${sanitizedPayee}" → "${categoryName}" (${Math.round(confidence * 100)}%, ${matchSource}), left uncategorised`
+    );
+    categoryName = null;
+    matchSource = null;
+    confidence = 0;
+  }
+  
+  // 5. Remember payees matched through another entry as provisional guesses.
+  // They are not used for matching until buildMemoryFromLunchMoney() sees
+  // that the user kept the category in Lunch Money.
+  if (categoryName && matchedPayee && matchedPayee !== sanitizedPayee && !memoryCache.payees[sanitizedPayee]) {
+    recordCategory(memoryCache, sanitizedPayee, categoryName, { source: 'fuzzy', date: context.date || null });
+    memoryDirty = true;
+    console.log(`🧠 Provisionally learned: "${sanitizedPayee}" → "${categoryName}" (${matchSource})`);
+  }
+  
+  result.categoryName = categoryName;
+  result.matchSource = matchSource;
+  result.confidence = confidence;
+  recordCategorization(matchSource);
+  
+  // Weak or missing memory matches get candidates for manual review
+  const isGuess = matchSource && (matchSource.startsWith('memory_fuzzy') || matchSource === 'classifier');
+  const isWeak = !categoryName || (isGuess && confidence < reviewThreshold);
+  if (reviewThreshold > 0 && matchSource !== 'config_rule' && isWeak) {
+    const candidates = rankCandidates(sanitizedPayee);
+    for (const { category, probability } of predictions) {
+      if (candidates.length < 3 && !candidates.some(candidate => candidate.category === category)) {
+        candidates.push({ category, confidence: probability, payee: null });
+      }
+    }
+    result.candidates = candidates;
+  }
+  
+  // 6. Look up category ID
   if (categoryName) {
     try {
-      const categoryId = await getCategoryId(token, categoryName);
-      if (categoryId) {
-        return categoryId;
-      } else {
-        console.warn(`Warning: Category "${categoryName}" not found in Lunch Money`);
-      }
+      result.categoryId = await getCategoryId(token, categoryName);
     } catch (err) {
       console.error(`Error looking up category "${categoryName}":`, err.message);
     }
   }
   
-  return null;
+  return result;
 }
 
 module.exports = {
   getCategoriesMap,
-  assignCategoryId
+  getCategoryId,
+  listCategories,
+  qualifyCategoryName,
+  checkCategoryNames,
+  sanitizePayee,
+  assignCategoryId,
+  resetMemoryCache,
+  flushMemory
 };
\ No newline at end of file
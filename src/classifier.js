@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./memory');
+
+const CLASSIFIER_FILE = path.join(DATA_DIR, 'category_classifier.json');
+const CLASSIFIER_VERSION = 1;
+
+/**
+ * Extract classifier features from a transaction: payee tokens, an amount
+ * magnitude bucket and the weekday.  The amount sign is ignored because
+ * Fintoc and Lunch Money use opposite sign conventions.
+ * @param {Object} tx Transaction
+ * @param {string} tx.payee Payee
+ * @param {number} [tx.amount] Amount
+ * @param {string} [tx.date] ISO date (YYYY-MM-DD)
+ * @returns {string[]} Feature tokens
+ */
+function extractFeatures({ payee, amount, date }) {
+  const features = (payee || '')
+    .toLowerCase()
+    .split(/[^a-z0-9áéíóúñü]+/)
+    .filter(token => token.length >= 2 && !/^\d+$/.test(token))
+    .map(token => `t:${token}`);
+
+  const absAmount = Math.abs(Number(amount));
+  if (Number.isFinite(absAmount) && absAmount > 0) {
+    features.push(`amt:${Math.floor(Math.log10(absAmount))}`);
+  }
+  if (date) {
+    features.push(`dow:${new Date(`${date.slice(0, 10)}T00:00:00Z`).getUTCDay()}`);
+  }
+  return features;
+}
+
+/**
+ * Train a multinomial naive Bayes model
+ * @param {Array<{payee: string, amount: number, date: string, category: string}>} examples Labelled transactions
+ * @returns {Object} Serialisable model
+ */
+function trainClassifier(examples) {
+  const model = {
+    version: CLASSIFIER_VERSION,
+    trainedAt: new Date().toISOString(),
+    examples: 0,
+    classCounts: {},
+    featureCounts: {},
+    featureTotals: {},
+    vocabularySize: 0
+  };
+  const vocabulary = new Set();
+
+  for (const example of examples) {
+    const features = extractFeatures(example);
+    if (features.length === 0) continue;
+    const category = example.category;
+    model.examples++;
+    model.classCounts[category] = (model.classCounts[category] || 0) + 1;
+    const counts = model.featureCounts[category] || (model.featureCounts[category] = {});
+    for (const feature of features) {
+      counts[feature] = (counts[feature] || 0) + 1;
+      vocabulary.add(feature);
+    }
+    model.featureTotals[category] = (model.featureTotals[category] || 0) + features.length;
+  }
+
+  model.vocabularySize = vocabulary.size;
+  return model;
+}
+
+/**
+ * Predict category probabilities for a transaction
+ * @param {Object} model Model returned by trainClassifier()
+ * @param {Object} tx Transaction, see extractFeatures()
+ * @param {number} limit Maximum number of predictions
+ * @returns {Array<{category: string, probability: number}>} Most likely first
+ */
+function predictCategory(model, tx, limit = 3) {
+  if (!model || model.examples === 0) return [];
+  const features = extractFeatures(tx);
+  // Only payee tokens carry enough signal on their own
+  if (!features.some(feature => feature.startsWith('t:'))) return [];
+
+  const scores = [];
+  for (const [category, classCount] of Object.entries(model.classCounts)) {
+    const counts = model.featureCounts[category];
+    const denominator = model.featureTotals[category] + model.vocabularySize + 1;
+    let logProb = Math.log(classCount / model.examples);
+    for (const feature of features) {
+      logProb += Math.log(((counts[feature] || 0) + 1) / denominator);
+    }
+    scores.push({ category, logProb });
+  }
+
+  // Normalise log-probabilities into probabilities
+  const maxLog = Math.max(...scores.map(score => score.logProb));
+  const total = scores.reduce((sum, score) => sum + Math.exp(score.logProb - maxLog), 0);
+  return scores
+    .map(({ category, logProb }) => ({ category, probability: Math.exp(logProb - maxLog) / total }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, limit);
+}
+
+/**
+ * Measure accuracy on held-out history.  The most recent transactions are
+ * held out, mirroring how the model is used on new transactions.
+ * @param {Array<Object>} examples Labelled transactions
+ * @param {Object} [options]
+ * @param {number} [options.holdout] Fraction of examples held out for testing
+ * @param {number} [options.minProbability] Predictions below this count as abstentions
+ * @returns {{trained: number, tested: number, accuracy: number, coverage: number, confidentAccuracy: number}}
+ */
+function evaluateClassifier(examples, { holdout = 0.2, minProbability = 0.5 } = {}) {
+  const sorted = [...examples].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  const split = Math.floor(sorted.length * (1 - holdout));
+  const model = trainClassifier(sorted.slice(0, split));
+  const testSet = sorted.slice(split);
+
+  let correct = 0;
+  let confident = 0;
+  let confidentCorrect = 0;
+  for (const example of testSet) {
+    const [top] = predictCategory(model, example, 1);
+    if (!top) continue;
+    const isCorrect = top.category === example.category;
+    if (isCorrect) correct++;
+    if (top.probability >= minProbability) {
+      confident++;
+      if (isCorrect) confidentCorrect++;
+    }
+  }
+
+  return {
+    trained: model.examples,
+    tested: testSet.length,
+    accuracy: testSet.length ? correct / testSet.length : 0,
+    coverage: testSet.length ? confident / testSet.length : 0,
+    confidentAccuracy: confident ? confidentCorrect / confident : 0
+  };
+}
+
+/**
+ * Load the trained classifier from persistent storage
+ * @returns {Object|null} Model or null if none has been trained
+ */
+function loadClassifier() {
+  try {
+    if (fs.existsSync(CLASSIFIER_FILE)) {
+      const model = JSON.parse(fs.readFileSync(CLASSIFIER_FILE, 'utf8'));
+      if (model.version === CLASSIFIER_VERSION) {
+        return model;
+      }
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load category classifier:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Save the trained classifier to persistent storage
+ * @param {Object} model Model returned by trainClassifier()
+ */
+function saveClassifier(model) {
+  try {
+    fs.writeFileSync(CLASSIFIER_FILE, JSON.stringify(model));
+  } catch (error) {
+    console.error('Error saving category classifier:', error.message);
+  }
+}
+
+/**
+ * Delete the trained classifier
+ */
+function clearClassifier() {
+  try {
+    if (fs.existsSync(CLASSIFIER_FILE)) {
+      fs.unlinkSync(CLASSIFIER_FILE);
+    }
+  } catch (error) {
+    console.error('Error clearing category classifier:', error.message);
+  }
+}
+
+module.exports = {
+  extractFeatures,
+  trainClassifier,
+  predictCategory,
+  evaluateClassifier,
+  loadClassifier,
+  saveClassifier,
+  clearClassifier
+};
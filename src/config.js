@@ -1,10 +1,124 @@
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { RECONCILE_MODES } = require('./reconcile');
+const { DEFAULT_CITIES } = require('./payee');
+
+const NOTIFICATION_CHANNELS = ['webhook', 'email', 'telegram'];
+const NOTIFICATION_EVENTS = ['failure', 'consecutive_failures', 'recovery', 'digest'];
 
 // Load variables from .env if present
 dotenv.config();
 
+/**
+ * Normalise one schedule of the `schedules` block, or of an account.
+ * `false` disables the job; missing fields are inherited from `fallback`.
+ * Cron expressions, timezones and quiet hours are validated by schedules.js.
+ *
+ * @param {Object|boolean|undefined} entry Raw schedule from config.json.
+ * @param {Object} fallback Normalised schedule providing the defaults.
+ * @returns {{cron: string, timezone: string, quietHours: {start: string, end: string}|null, enabled: boolean}}
+ */
+function normalizeSchedule(entry, fallback) {
+  if (entry === false) {
+    return { ...fallback, enabled: false };
+  }
+  const raw = entry && typeof entry === 'object' ? entry : {};
+  return {
+    cron: typeof raw.cron === 'string' ? raw.cron : fallback.cron,
+    timezone: typeof raw.timezone === 'string' ? raw.timezone : fallback.timezone,
+    // `null` turns inherited quiet hours off
+    quietHours: raw.quiet_hours !== undefined ? raw.quiet_hours : fallback.quietHours,
+    enabled: raw.enabled !== false
+  };
+}
+
+/**
+ * Normalise one entry of `notifications.channels` in config.json.
+ *
+ * Like API keys, the Telegram bot token and SMTP password are read from the
+ * environment variable the channel names.
+ *
+ * @param {Object} entry Raw channel entry from config.json.
+ * @param {number} index Position of the entry, used for a default name.
+ * @param {number} consecutiveFailures Default failure streak length for the
+ *   `consecutive_failures` trigger.
+ * @returns {Object|null} Channel in the shape expected by notifier.js, or
+ *   null if its type is unknown.
+ */
+function normalizeChannel(entry, index, consecutiveFailures) {
+  if (!NOTIFICATION_CHANNELS.includes(entry.type)) {
+    console.warn(`Warning: unknown notification channel type "${entry.type}", expected one of ${NOTIFICATION_CHANNELS.join(', ')}. Ignoring it.`);
+    return null;
+  }
+  const channel = {
+    name: entry.name || `${entry.type}-${index + 1}`,
+    type: entry.type,
+    triggers: Array.isArray(entry.triggers) ? entry.triggers : ['failure', 'recovery'],
+    consecutiveFailures: typeof entry.consecutive_failures === 'number' ? entry.consecutive_failures : consecutiveFailures,
+    // A single string is used for every event
+    templates: typeof entry.template === 'string'
+      ? Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, entry.template]))
+      : (entry.templates && typeof entry.templates === 'object' ? entry.templates : {})
+  };
+  if (entry.type === 'webhook') {
+    channel.url = entry.url || null;
+    channel.headers = entry.headers && typeof entry.headers === 'object' ? entry.headers : {};
+  } else if (entry.type === 'telegram') {
+    const tokenEnv = entry.bot_token_env || 'TELEGRAM_BOT_TOKEN';
+    channel.botToken = process.env[tokenEnv] || null;
+    channel.botTokenEnv = tokenEnv;
+    channel.chatId = entry.chat_id != null ? String(entry.chat_id) : null;
+    channel.apiUrl = (entry.api_url || 'https://api.telegram.org').replace(/\/$/, '');
+  } else {
+    const smtp = entry.smtp || {};
+    const passwordEnv = entry.password_env || 'SMTP_PASSWORD';
+    channel.smtp = {
+      host: smtp.host || null,
+      port: typeof smtp.port === 'number' ? smtp.port : (smtp.secure ? 465 : 587),
+      secure: smtp.secure === true,
+      starttls: smtp.starttls !== false,
+      insecure: smtp.insecure === true,
+      user: smtp.user || null,
+      password: process.env[passwordEnv] || null
+    };
+    channel.passwordEnv = passwordEnv;
+    channel.from = entry.from || null;
+    channel.to = [].concat(entry.to || []);
+    channel.subject = typeof entry.subject === 'string' ? entry.subject : '[lunchmoney-fintoc-sync] {{title}}';
+  }
+  return channel;
+}
+
+/**
+ * Normalise a single entry of the `accounts` array in config.json.
+ *
+ * API keys are never stored in config.json; each account names the
+ * environment variable that holds its key (`api_key_env`), falling back to
+ * FINTOC_API_KEY.
+ *
+ * @param {Object} entry Raw account entry from config.json.
+ * @param {number} index Position of the entry, used for a default name.
+ * @param {string} defaultCurrency Currency used when the entry has none.
+ * @param {Object} syncSchedule Normalised global sync schedule, inherited by
+ *   an account's own `schedule`.
+ * @returns {Object} Account in the shape expected by sync().
+ */
+function normalizeAccount(entry, index, defaultCurrency, syncSchedule) {
+  const apiKeyEnv = entry.api_key_env || 'FINTOC_API_KEY';
+  const linkId = entry.fintoc_account_id || entry.fintoc_link_id || null;
+  return {
+    name: entry.name || linkId || `account-${index + 1}`,
+    finocApiKey: process.env[apiKeyEnv],
+    finocApiKeyEnv: apiKeyEnv,
+    finocLinkId: linkId,
+    lunchmoneyAssetId: entry.lunchmoney_asset_id != null ? String(entry.lunchmoney_asset_id) : null,
+    currency: typeof entry.currency === 'string' ? entry.currency : defaultCurrency,
+    // Accounts without their own schedule are synced by the global sync job
+    schedule: entry.schedule !== undefined ? normalizeSchedule(entry.schedule, syncSchedule) : null
+  };
+}
+
 /**
  * Load configuration from environment variables and optional config.json.
  *
@@ -12,13 +126,27 @@ dotenv.config();
  *  1. Environment variables (.env)
  *  2. config.json values
  *  3. Hard‑coded defaults
+ *
+ * When config.json has no `accounts` array, a single account is built from
+ * FINTOC_API_KEY, FINTOC_LINK_ID and LUNCHMONEY_ASSET_ID.
  */
 function loadConfig() {
   // Defaults
   const defaults = {
     currency: 'CLP',
     days_to_sync: 7,
-    category_rules: {}
+    incremental_overlap_days: 3,
+    category_rules: {},
+    accounts: [],
+    reconcile_mode: 'ignore',
+    transfers: {},
+    payee_normalization: {},
+    learning: {},
+    webhooks: {},
+    schedules: {},
+    notifications: {},
+    min_confidence: 0.4,
+    review_threshold: 0.6
   };
 
   // Attempt to read config.json from current working directory
@@ -32,25 +160,198 @@ function loadConfig() {
       if (typeof json.days_to_sync === 'number') {
         defaults.days_to_sync = json.days_to_sync;
       }
+      if (typeof json.incremental_overlap_days === 'number') {
+        defaults.incremental_overlap_days = json.incremental_overlap_days;
+      }
       if (typeof json.category_rules === 'object') {
         defaults.category_rules = json.category_rules;
       }
+      if (Array.isArray(json.accounts)) {
+        defaults.accounts = json.accounts;
+      }
+      if (typeof json.reconcile_mode === 'string') {
+        defaults.reconcile_mode = json.reconcile_mode;
+      }
+      if (json.transfers && typeof json.transfers === 'object') {
+        defaults.transfers = json.transfers;
+      }
+      if (json.payee_normalization && typeof json.payee_normalization === 'object') {
+        defaults.payee_normalization = json.payee_normalization;
+      }
+      if (json.learning && typeof json.learning === 'object') {
+        defaults.learning = json.learning;
+      }
+      if (typeof json.min_confidence === 'number') {
+        defaults.min_confidence = json.min_confidence;
+      }
+      if (typeof json.review_threshold === 'number') {
+        defaults.review_threshold = json.review_threshold;
+      }
+      if (json.webhooks && typeof json.webhooks === 'object') {
+        defaults.webhooks = json.webhooks;
+      }
+      if (json.schedules && typeof json.schedules === 'object') {
+        defaults.schedules = json.schedules;
+      }
+      if (json.notifications && typeof json.notifications === 'object') {
+        defaults.notifications = json.notifications;
+      }
     } catch (err) {
       console.warn('Warning: failed to parse config.json:', err.message);
     }
   }
 
+  const currency = process.env.CURRENCY_CODE || defaults.currency;
+  let reconcileMode = process.env.RECONCILE_MODE || defaults.reconcile_mode;
+  if (!RECONCILE_MODES.includes(reconcileMode)) {
+    console.warn(`Warning: unknown reconcile mode "${reconcileMode}", expected one of ${RECONCILE_MODES.join(', ')}. Using "ignore".`);
+    reconcileMode = 'ignore';
+  }
+  const finocApiKey = process.env.FINTOC_API_KEY;
+  const finocLinkId = process.env.FINTOC_LINK_ID;
+  const lunchmoneyAssetId = process.env.LUNCHMONEY_ASSET_ID || process.env.LM_ASSET_ID || null;
+
+  // Quiet hours set next to the timezone apply to every sync job, not to the
+  // memory rebuild
+  const scheduleTimezone = typeof defaults.schedules.timezone === 'string' ? defaults.schedules.timezone : 'UTC';
+  const syncSchedule = normalizeSchedule(defaults.schedules.sync, {
+    cron: '0 * * * *',
+    timezone: scheduleTimezone,
+    quietHours: defaults.schedules.quiet_hours || null,
+    enabled: true
+  });
+  const memoryRebuildSchedule = normalizeSchedule(defaults.schedules.memory_rebuild, {
+    cron: '0 3 * * *',
+    timezone: scheduleTimezone,
+    quietHours: null,
+    enabled: true
+  });
+  const digestSchedule = normalizeSchedule(defaults.schedules.digest, {
+    cron: '0 9 * * *',
+    timezone: scheduleTimezone,
+    quietHours: null,
+    enabled: true
+  });
+
+  const consecutiveFailures = typeof defaults.notifications.consecutive_failures === 'number'
+    ? defaults.notifications.consecutive_failures
+    : 3;
+  const channels = (Array.isArray(defaults.notifications.channels) ? defaults.notifications.channels : [])
+    .map((entry, index) => normalizeChannel(entry, index, consecutiveFailures))
+    .filter(Boolean);
+
+  const accounts = defaults.accounts.length > 0
+    ? defaults.accounts.map((entry, index) => normalizeAccount(entry, index, currency, syncSchedule))
+    : [{
+      name: finocLinkId || 'default',
+      finocApiKey,
+      finocApiKeyEnv: 'FINTOC_API_KEY',
+      finocLinkId,
+      lunchmoneyAssetId,
+      currency,
+      schedule: null
+    }];
+
+  // Rows of an asset fed by several accounts cannot be told apart, so none of
+  // those accounts may treat rows without a movement as removed from Fintoc
+  const accountsByAsset = new Map();
+  for (const account of accounts) {
+    if (!account.lunchmoneyAssetId) continue;
+    accountsByAsset.set(account.lunchmoneyAssetId, [...(accountsByAsset.get(account.lunchmoneyAssetId) || []), account]);
+  }
+  for (const account of accounts) {
+    account.sharedAsset = (accountsByAsset.get(account.lunchmoneyAssetId) || []).length > 1;
+  }
+  for (const [assetId, sharing] of accountsByAsset) {
+    if (sharing.length > 1 && reconcileMode !== 'ignore') {
+      console.warn(`Warning: accounts ${sharing.map(account => `"${account.name}"`).join(', ')} share Lunch Money asset ${assetId}; reconciliation will not remove or flag their rows missing from Fintoc.`);
+    }
+  }
+
   return {
     lunchmoneyToken: process.env.LUNCHMONEY_TOKEN,
-    finocApiKey: process.env.FINTOC_API_KEY,
-    finocLinkId: process.env.FINTOC_LINK_ID,
-    currency: process.env.CURRENCY_CODE || defaults.currency,
+    finocApiKey,
+    finocLinkId,
+    currency,
     daysToSync: parseInt(process.env.DAYS_TO_SYNC || defaults.days_to_sync, 10),
+    incrementalOverlapDays: parseInt(process.env.INCREMENTAL_OVERLAP_DAYS || defaults.incremental_overlap_days, 10),
     categoryRules: defaults.category_rules,
-    lunchmoneyAssetId: process.env.LUNCHMONEY_ASSET_ID || process.env.LM_ASSET_ID || null
+    minConfidence: process.env.MIN_CONFIDENCE
+      ? parseFloat(process.env.MIN_CONFIDENCE)
+      : defaults.min_confidence,
+    reviewThreshold: defaults.review_threshold,
+    auth: {
+      apiToken: process.env.SYNC_API_TOKEN || null,
+      hmacSecret: process.env.SYNC_API_HMAC_SECRET || null,
+      allowUnauthenticated: process.env.ALLOW_UNAUTHENTICATED === '1'
+    },
+    schedules: {
+      sync: syncSchedule,
+      memoryRebuild: memoryRebuildSchedule,
+      digest: digestSchedule
+    },
+    notifications: {
+      channels
+    },
+    webhooks: {
+      fintocSecret: process.env.FINTOC_WEBHOOK_SECRET || null,
+      debounceSeconds: process.env.WEBHOOK_DEBOUNCE_SECONDS
+        ? parseFloat(process.env.WEBHOOK_DEBOUNCE_SECONDS)
+        : (typeof defaults.webhooks.debounce_seconds === 'number' ? defaults.webhooks.debounce_seconds : 30)
+    },
+    lunchmoneyAssetId,
+    accounts,
+    reconcileMode,
+    transfers: {
+      // Opt-in: unrelated same-amount pairs (a refund and a purchase) would
+      // otherwise be recategorised as transfers
+      enabled: defaults.transfers.enabled === true,
+      dayWindow: typeof defaults.transfers.day_window === 'number' ? defaults.transfers.day_window : 2,
+      category: defaults.transfers.category || 'Payment, Transfer',
+      tag: defaults.transfers.tag || 'transfer'
+    },
+    payeeNormalization: {
+      enabled: defaults.payee_normalization.enabled !== false,
+      stripPatterns: defaults.payee_normalization.strip_patterns || [],
+      cities: defaults.payee_normalization.cities || DEFAULT_CITIES,
+      aliases: defaults.payee_normalization.aliases || {}
+    },
+    learning: {
+      startDate: defaults.learning.start_date || '2023-01-01',
+      windowDays: typeof defaults.learning.window_days === 'number' ? defaults.learning.window_days : null,
+      minCount: typeof defaults.learning.min_count === 'number' ? defaults.learning.min_count : 2,
+      recencyHalfLifeDays: typeof defaults.learning.recency_half_life_days === 'number'
+        ? defaults.learning.recency_half_life_days
+        : null,
+      incrementalLookbackDays: typeof defaults.learning.incremental_lookback_days === 'number'
+        ? defaults.learning.incremental_lookback_days
+        : 30,
+      fullRebuildDays: typeof defaults.learning.full_rebuild_days === 'number' ? defaults.learning.full_rebuild_days : 7
+    }
   };
 }
 
+/**
+ * Return the accounts that are missing a Fintoc API key or account ID.
+ *
+ * @param {Object} config Configuration object returned by loadConfig().
+ * @returns {Array<{name: string, problem: string}>}
+ */
+function findIncompleteAccounts(config) {
+  const problems = [];
+  for (const account of config.accounts) {
+    if (!account.finocLinkId) {
+      problems.push({ name: account.name, problem: 'missing Fintoc account ID' });
+    } else if (!account.finocApiKey) {
+      problems.push({ name: account.name, problem: `missing Fintoc API key (set ${account.finocApiKeyEnv})` });
+    }
+  }
+  return problems;
+}
+
 module.exports = {
-  loadConfig
-};
\ No newline at end of file
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  loadConfig,
+  findIncompleteAccounts
+};
@@ -0,0 +1,70 @@
+/**
+ * Currency precision handling for Fintoc amounts
+ */
+
+/**
+ * Number of minor-unit decimals Fintoc uses per currency.  CLP has no minor
+ * unit, so Fintoc amounts are already whole pesos.  UF-denominated accounts
+ * are reported as CLF with four decimals.
+ */
+const CURRENCY_DECIMALS = {
+  CLP: 0,
+  CLF: 4,
+  UF: 4,
+  USD: 2,
+  MXN: 2
+};
+
+// Used for currencies missing from the table above
+const DEFAULT_DECIMALS = 2;
+
+/**
+ * Get the number of minor-unit decimals for a currency
+ * @param {string} currency ISO 4217 currency code (case-insensitive)
+ * @returns {number} Number of decimals
+ */
+function getCurrencyDecimals(currency) {
+  if (!currency) return DEFAULT_DECIMALS;
+  const decimals = CURRENCY_DECIMALS[currency.toUpperCase()];
+  return decimals !== undefined ? decimals : DEFAULT_DECIMALS;
+}
+
+/**
+ * Convert an amount in minor units to major units
+ * @param {number} amountMinor Amount in the currency's smallest unit
+ * @param {string} currency ISO 4217 currency code
+ * @returns {number} Amount in major units
+ */
+function toMajorUnits(amountMinor, currency) {
+  const decimals = getCurrencyDecimals(currency);
+  return amountMinor / Math.pow(10, decimals);
+}
+
+/**
+ * Format a major-unit amount for the Lunch Money API, keeping every
+ * significant decimal of the currency (at least two)
+ * @param {number} amount Amount in major units
+ * @param {string} currency ISO 4217 currency code
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, currency) {
+  return Number(amount).toFixed(Math.max(2, getCurrencyDecimals(currency)));
+}
+
+/**
+ * Map a currency code to the one Lunch Money expects
+ * @param {string} currency ISO 4217 currency code
+ * @returns {string} Lower-case currency code
+ */
+function toLunchMoneyCurrency(currency) {
+  const code = currency.toUpperCase() === 'UF' ? 'CLF' : currency.toUpperCase();
+  return code.toLowerCase();
+}
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  getCurrencyDecimals,
+  toMajorUnits,
+  formatAmount,
+  toLunchMoneyCurrency
+};
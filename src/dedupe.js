@@ -0,0 +1,74 @@
+/**
+ * Duplicate detection between Fintoc movements and Lunch Money transactions
+ */
+
+/**
+ * Key used for rows inserted before external_id was sent to Lunch Money
+ * @param {string} date ISO date (YYYY-MM-DD)
+ * @param {number|string} amount Transaction amount
+ * @returns {string} Date and amount key
+ */
+function legacyKey(date, amount) {
+  return `${date}-${Number(amount).toFixed(2)}`;
+}
+
+/**
+ * Build a duplicate index from existing Lunch Money transactions.
+ *
+ * Rows carrying an external_id are matched exactly against the Fintoc
+ * movement ID.  Older rows without one fall back to a date+amount match, and
+ * each such row can absorb at most one movement, so two genuine purchases of
+ * the same amount on the same day are not collapsed into one.
+ *
+ * @param {Array<Object>} existing Transactions returned by fetchTransactions()
+ * @returns {{match: Function, add: Function}} Index operations
+ */
+function createDuplicateIndex(existing) {
+  const externalIds = new Set();
+  const legacyCounts = new Map();
+
+  for (const tx of existing) {
+    if (tx.external_id) {
+      externalIds.add(String(tx.external_id));
+    } else {
+      const key = legacyKey(tx.date, tx.amount);
+      legacyCounts.set(key, (legacyCounts.get(key) || 0) + 1);
+    }
+  }
+
+  return {
+    /**
+     * Check whether a movement already exists in Lunch Money.  A legacy match
+     * consumes the matched row.
+     * @param {Object} movement Movement returned by fetchFintocTransactions()
+     * @returns {string|null} Rule that matched ('external_id' or 'date_amount'), or null
+     */
+    match(movement) {
+      if (movement.id && externalIds.has(String(movement.id))) {
+        return 'external_id';
+      }
+      const key = legacyKey(movement.date, movement.amount);
+      const remaining = legacyCounts.get(key) || 0;
+      if (remaining > 0) {
+        legacyCounts.set(key, remaining - 1);
+        return 'date_amount';
+      }
+      return null;
+    },
+
+    /**
+     * Record a movement queued for insertion so repeats within the same run
+     * are skipped.
+     * @param {Object} movement Movement returned by fetchFintocTransactions()
+     */
+    add(movement) {
+      if (movement.id) {
+        externalIds.add(String(movement.id));
+      }
+    }
+  };
+}
+
+module.exports = {
+  createDuplicateIndex
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { findIncompleteAccounts } = require('./config');
+const { DATA_DIR, getMemoryStats } = require('./memory');
+const { loadClassifier } = require('./classifier');
+const { checkCategoryNames } = require('./categorize');
+const { normalizeRules } = require('./rules');
+const { fetchFintocTransactions } = require('./fetchFintoc');
+const { listReviewItems } = require('./reviewQueue');
+
+/**
+ * Run a single check, turning exceptions into failures
+ * @param {string} name Check name
+ * @param {function(): Promise<{status: string, detail: string}>} check Check to run
+ * @returns {Promise<{name: string, status: string, detail: string}>} Outcome
+ */
+async function runCheck(name, check) {
+  try {
+    return { name, ...(await check()) };
+  } catch (err) {
+    return { name, status: 'fail', detail: err.message };
+  }
+}
+
+/**
+ * Check configuration, credentials, API connectivity and local data
+ * @param {Object} config Configuration returned by loadConfig()
+ * @returns {Promise<Array<{name: string, status: 'ok'|'warn'|'fail', detail: string}>>} Check outcomes
+ */
+async function runDiagnostics(config) {
+  const checks = [];
+
+  checks.push(await runCheck('config.json', async () => {
+    const configPath = path.resolve(process.cwd(), 'config.json');
+    if (!fs.existsSync(configPath)) {
+      return { status: 'warn', detail: 'not found, using environment variables and defaults' };
+    }
+    JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { status: 'ok', detail: configPath };
+  }));
+
+  checks.push(await runCheck('Lunch Money API', async () => {
+    if (!config.lunchmoneyToken) {
+      return { status: 'fail', detail: 'LUNCHMONEY_TOKEN is not set' };
+    }
+    try {
+      const response = await axios.get('https://dev.lunchmoney.app/v1/me', {
+        headers: { Authorization: `Bearer ${config.lunchmoneyToken}` },
+        timeout: 10000
+      });
+      return { status: 'ok', detail: `authenticated as ${response.data.user_name || response.data.user_email || 'unknown user'}` };
+    } catch (err) {
+      throw new Error(`Lunch Money API error: ${err.response?.data?.error || err.message}`);
+    }
+  }));
+
+  const incomplete = findIncompleteAccounts(config);
+  for (const account of config.accounts) {
+    checks.push(await runCheck(`Fintoc account "${account.name}"`, async () => {
+      const problem = incomplete.find(entry => entry.name === account.name);
+      if (problem) {
+        return { status: 'fail', detail: problem.problem };
+      }
+      const today = new Date().toISOString().slice(0, 10);
+      await fetchFintocTransactions({
+        apiKey: account.finocApiKey,
+        linkId: account.finocLinkId,
+        since: today,
+        until: today,
+        currency: account.currency
+      });
+      if (account.sharedAsset) {
+        return { status: 'warn', detail: `reachable, but Lunch Money asset ${account.lunchmoneyAssetId} is shared with another account` };
+      }
+      return {
+        status: account.lunchmoneyAssetId ? 'ok' : 'warn',
+        detail: account.lunchmoneyAssetId
+          ? `reachable, syncing to Lunch Money asset ${account.lunchmoneyAssetId}`
+          : 'reachable, but no Lunch Money asset configured'
+      };
+    }));
+  }
+
+  if (config.lunchmoneyToken) {
+    checks.push(await runCheck('Configured categories', async () => {
+      const names = normalizeRules(config.categoryRules).map(rule => rule.category);
+      if (config.transfers.enabled) {
+        names.push(config.transfers.category);
+      }
+      const unknown = await checkCategoryNames(config.lunchmoneyToken, names);
+      return unknown.length > 0
+        ? { status: 'warn', detail: `not found in Lunch Money: ${unknown.join(', ')}` }
+        : { status: 'ok', detail: `${new Set(names.filter(Boolean)).size} category name(s) resolve` };
+    }));
+  }
+
+  checks.push(await runCheck('Data directory', async () => {
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    return { status: 'ok', detail: `${DATA_DIR} is writable` };
+  }));
+
+  checks.push(await runCheck('Memory', async () => {
+    const stats = getMemoryStats();
+    if (stats.totalEntries === 0) {
+      return { status: 'warn', detail: 'empty, run "memory rebuild"' };
+    }
+    return { status: 'ok', detail: `${stats.totalEntries} payee(s), last modified ${stats.lastModified || 'never'}` };
+  }));
+
+  checks.push(await runCheck('Classifier', async () => {
+    const model = loadClassifier();
+    return model
+      ? { status: 'ok', detail: `trained on ${model.examples} transaction(s) at ${model.trainedAt}` }
+      : { status: 'warn', detail: 'not trained, run "memory rebuild"' };
+  }));
+
+  checks.push(await runCheck('Review queue', async () => {
+    const pending = listReviewItems().length;
+    return { status: 'ok', detail: `${pending} transaction(s) awaiting review` };
+  }));
+
+  return checks;
+}
+
+module.exports = {
+  runDiagnostics
+};
@@ -1,26 +1,36 @@
 const axios = require('axios');
+const { toMajorUnits } = require('./currency');
 
 /**
  * Fetch recent movements from Fintoc.
  *
+ * The date window is sent to Fintoc as `since`/`until`, and paging stops as
+ * soon as a page reaches movements older than the window (Fintoc returns
+ * movements newest first).
+ *
  * @param {Object} params
  * @param {string} params.apiKey - Fintoc API secret key.
  * @param {string} params.linkId - Fintoc account or link identifier.
- * @param {number} params.daysToSync - Number of days of history to fetch.
- * @returns {Promise<Array<{date: string, amount: number, payee: string}>>}
+ * @param {number} [params.daysToSync] - Number of days of history to fetch when `since` is not given.
+ * @param {string} [params.since] - ISO date (YYYY-MM-DD), inclusive start of the window.
+ * @param {string} [params.until] - ISO date (YYYY-MM-DD), inclusive end of the window. Defaults to today.
+ * @param {string} [params.currency] - Currency assumed for movements that do not report one.
+ * @returns {Promise<{transactions: Array<{id: string|null, date: string, amount: number, currency: string|null, payee: string}>, skipped: Array<{id: string|null, reason: string}>}>}
+ *   Movements in the window, and the movements left out because they have
+ *   no date or no numeric amount.
  */
-async function fetchFintocTransactions({ apiKey, linkId, daysToSync }) {
+async function fetchFintocTransactions({ apiKey, linkId, daysToSync, since, until, currency }) {
   if (!apiKey || !linkId) {
     throw new Error('Missing Fintoc API key or link ID.');
   }
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(endDate.getDate() - daysToSync);
+  const sinceStr = since || daysAgo(daysToSync);
+  const untilStr = until || new Date().toISOString().slice(0, 10);
 
   const perPage = 200;
   let page = 1;
   let hasMore = true;
   const transactions = [];
+  const skipped = [];
 
   while (hasMore) {
     const url = `https://api.fintoc.com/v1/accounts/${encodeURIComponent(linkId)}/movements`;
@@ -30,12 +40,15 @@ async function fetchFintocTransactions({ apiKey, linkId, daysToSync }) {
           Authorization: `Bearer ${apiKey}`
         },
         params: {
+          since: sinceStr,
+          until: untilStr,
           per_page: perPage,
           page
         }
       });
 
       const data = response.data;
+      let reachedWindowStart = false;
       if (Array.isArray(data) && data.length > 0) {
         for (const movement of data) {
           // Determine the date field.  Fintoc returns `transaction_date` for movements.
@@ -45,10 +58,15 @@ async function fetchFintocTransactions({ apiKey, linkId, daysToSync }) {
             movement.date ||
             null;
           if (!dateStr) {
+            skipped.push({ id: movement.id || null, reason: 'missing date' });
+            continue;
+          }
+          const movementDay = dateStr.slice(0, 10);
+          if (movementDay < sinceStr) {
+            reachedWindowStart = true;
             continue;
           }
-          const movementDate = new Date(dateStr);
-          if (movementDate >= startDate && movementDate <= endDate) {
+          if (movementDay <= untilStr) {
             const payee =
               movement.description ||
               movement.description_internal ||
@@ -56,22 +74,26 @@ async function fetchFintocTransactions({ apiKey, linkId, daysToSync }) {
               movement.concept ||
               movement.source ||
               'Unknown';
-            // Amount is returned in the smallest currency unit (e.g. centavos).
-            // Convert to major unit by dividing by 100.  For currencies without decimals (e.g. CLP),
-            // this will still produce a decimal but will not affect the integer part.
-            const amountMinor = Number(movement.amount);
+            // Amount is returned in the smallest currency unit of the movement's
+            // own currency (e.g. cents for USD, whole pesos for CLP).
+            // Number(null) and Number('') are 0, not a missing amount
+            const amountMinor = movement.amount == null || movement.amount === '' ? NaN : Number(movement.amount);
             if (!Number.isFinite(amountMinor)) {
+              skipped.push({ id: movement.id || null, reason: `invalid amount ${JSON.stringify(movement.amount)}` });
               continue;
             }
-            const amountMajor = amountMinor / 100;
+            const movementCurrency = movement.currency || currency || null;
             transactions.push({
-              date: dateStr.slice(0, 10),
-              amount: amountMajor,
+              // Fintoc movement ID, sent to Lunch Money as external_id
+              id: movement.id || null,
+              date: movementDay,
+              amount: toMajorUnits(amountMinor, movementCurrency),
+              currency: movementCurrency,
               payee
             });
           }
         }
-        hasMore = data.length === perPage;
+        hasMore = !reachedWindowStart && data.length === perPage;
         page += 1;
       } else {
         hasMore = false;
@@ -82,9 +104,28 @@ async function fetchFintocTransactions({ apiKey, linkId, daysToSync }) {
     }
   }
 
-  return transactions;
+  if (skipped.length > 0) {
+    console.warn(
+      `Warning: skipped ${skipped.length} Fintoc movement(s) of ${linkId} that could not be read: ` +
+      skipped.map(({ id, reason }) => `${id || 'no id'} (${reason})`).join(', ')
+    );
+  }
+
+  return { transactions, skipped };
+}
+
+/**
+ * ISO date (YYYY-MM-DD) a number of days before today
+ * @param {number} days Number of days to go back
+ * @returns {string} ISO date string
+ */
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
 }
 
 module.exports = {
-  fetchFintocTransactions
-};
\ No newline at end of file
+  fetchFintocTransactions,
+  daysAgo
+};
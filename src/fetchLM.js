@@ -1,5 +1,18 @@
 const axios = require('axios');
 
+/**
+ * Wrap a failed Lunch Money request in a readable error.  The response is
+ * kept so shouldRetryHttpError() does not retry client errors as network
+ * errors.
+ * @param {Error} err Axios error
+ * @returns {Error} Error with the API's message and the original `response`
+ */
+function apiError(err) {
+  const error = new Error(`Lunch Money API error: ${err.response?.data?.error || err.message}`);
+  error.response = err.response;
+  return error;
+}
+
 /**
  * Retrieve existing transactions from Lunch Money within a date range.
  *
@@ -10,7 +23,7 @@ const axios = require('axios');
  * @param {string} startDate ISO date string (YYYY-MM-DD) inclusive.
  * @param {string} endDate ISO date string (YYYY-MM-DD) inclusive.
  * @param {string|number|null} assetId Optional asset ID to filter transactions.
- * @returns {Promise<Array<{date: string, amount: number}>>}
+ * @returns {Promise<Array<{id: number, date: string, amount: number, payee: string, original_name: string|null, notes: string|null, tags: string[], external_id: string|null}>>}
  */
 async function fetchTransactions(token, startDate, endDate, assetId) {
   const results = [];
@@ -42,20 +55,135 @@ async function fetchTransactions(token, startDate, endDate, assetId) {
         const amt = parseFloat(tx.amount);
         if (!isNaN(amt)) {
           results.push({
+            id: tx.id,
             date: tx.date,
-            amount: amt
+            amount: amt,
+            payee: tx.payee || '',
+            original_name: tx.original_name || null,
+            notes: tx.notes || null,
+            tags: Array.isArray(tx.tags) ? tx.tags.map(tag => tag.name) : [],
+            external_id: tx.external_id || null
           });
         }
       }
       hasMore = data.has_more === true;
       page += 1;
     } catch (err) {
-      throw new Error(`Lunch Money API error: ${err.response?.data?.error || err.message}`);
+      throw apiError(err);
     }
   }
   return results;
 }
 
+/**
+ * Retrieve a single Lunch Money transaction.
+ *
+ * @param {string} token Lunch Money API token.
+ * @param {number} id Lunch Money transaction ID.
+ * @returns {Promise<{id: number, date: string, amount: number, payee: string, category_id: number|null, notes: string|null, tags: string[]}|null>}
+ *   Transaction, or null if it does not exist (anymore).
+ */
+async function getTransaction(token, id) {
+  try {
+    const response = await axios.get(`https://dev.lunchmoney.app/v1/transactions/${encodeURIComponent(id)}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      params: {
+        debit_as_negative: false
+      }
+    });
+    const tx = response.data;
+    return {
+      id: tx.id,
+      date: tx.date,
+      amount: parseFloat(tx.amount),
+      payee: tx.payee || '',
+      category_id: tx.category_id || null,
+      notes: tx.notes || null,
+      tags: Array.isArray(tx.tags) ? tx.tags.map(tag => tag.name) : []
+    };
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return null;
+    }
+    throw apiError(err);
+  }
+}
+
+/**
+ * Update fields of an existing Lunch Money transaction.
+ *
+ * @param {string} token Lunch Money API token.
+ * @param {number} id Lunch Money transaction ID.
+ * @param {Object} fields Transaction fields to change (date, amount, payee, notes, tags...).
+ * @returns {Promise<Object>} API response body.
+ */
+async function updateTransaction(token, id, fields) {
+  try {
+    const response = await axios.put(
+      `https://dev.lunchmoney.app/v1/transactions/${encodeURIComponent(id)}`,
+      {
+        transaction: fields,
+        debit_as_negative: false,
+        skip_balance_update: true
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (err) {
+    throw apiError(err);
+  }
+}
+
+/**
+ * Delete a Lunch Money transaction.
+ *
+ * The v1 API documentation (https://lunchmoney.dev) only lists DELETE for
+ * transaction groups, not for single transactions, so callers must be ready
+ * for isDeleteUnsupported() errors and fall back to flagging the row.
+ *
+ * @param {string} token Lunch Money API token.
+ * @param {number} id Lunch Money transaction ID.
+ * @returns {Promise<Object>} API response body.
+ */
+async function deleteTransaction(token, id) {
+  try {
+    const response = await axios.delete(
+      `https://dev.lunchmoney.app/v1/transactions/${encodeURIComponent(id)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response.data;
+  } catch (err) {
+    throw apiError(err);
+  }
+}
+
+/**
+ * Whether deleteTransaction() failed because the API does not delete single
+ * transactions.  Callers only delete rows they have just read, so a 404
+ * means the route is missing, not the transaction.
+ * @param {Error} error Error thrown by deleteTransaction()
+ * @returns {boolean} True for 404 and 405 responses
+ */
+function isDeleteUnsupported(error) {
+  const status = error.response && error.response.status;
+  return status === 404 || status === 405;
+}
+
 module.exports = {
-  fetchTransactions
+  fetchTransactions,
+  getTransaction,
+  updateTransaction,
+  deleteTransaction,
+  isDeleteUnsupported
 };
\ No newline at end of file
@@ -1,31 +1,133 @@
 const { fetchTransactions } = require('./fetchLM');
-const { saveMemory } = require('./memory');
+const { createMemory, loadMemory, saveMemory, getPreferredCategory } = require('./memory');
 const { withRetry, shouldRetryHttpError } = require('./utils');
+const { normalizePayee } = require('./payee');
+const { sanitizePayee, qualifyCategoryName } = require('./categorize');
+const { trainClassifier, saveClassifier } = require('./classifier');
+const { loadLearningState, saveLearningState, mergeObservations } = require('./learningState');
+const { daysAgo } = require('./fetchFintoc');
 const chalk = require('chalk');
 
+/**
+ * Decide whether a rebuild can merge into stored observations or must
+ * download the whole learning window again
+ * @param {Object} state State from loadLearningState()
+ * @param {string} windowStart Start of the learning window
+ * @param {number} fullRebuildDays Maximum age of the last full rebuild
+ * @returns {boolean} True if an incremental rebuild is possible
+ */
+function canRebuildIncrementally(state, windowStart, fullRebuildDays) {
+  if (!state.lastRebuild || !state.lastFullRebuild || !state.startDate) return false;
+  // A window extended further back needs history that was never fetched
+  if (windowStart < state.startDate) return false;
+  return state.lastFullRebuild.slice(0, 10) >= daysAgo(fullRebuildDays);
+}
+
+/**
+ * Move an ISO date by a number of days
+ * @param {string} date Date (YYYY-MM-DD)
+ * @param {number} days Days to add, negative to go back
+ * @returns {string} Shifted date (YYYY-MM-DD)
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Weight of an observation, halving every halfLifeDays so recent
+ * re-categorisations outweigh old habits
+ * @param {string} date Transaction date (YYYY-MM-DD)
+ * @param {number|null} halfLifeDays Half-life in days, or null for no weighting
+ * @param {number} now Current time in milliseconds
+ * @returns {number} Weight between 0 and 1
+ */
+function recencyWeight(date, halfLifeDays, now) {
+  if (!halfLifeDays || !date) return 1;
+  const ageDays = Math.max(0, (now - Date.parse(`${date}T00:00:00Z`)) / 86400000);
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
 /**
  * Build categorization memory from Lunch Money transaction history
  * @param {string} token Lunch Money API token
  * @param {string} startDate Start date for learning (default: 2023-01-01)
  * @param {boolean} saveToFile Whether to save the memory to file
- * @returns {Promise<Object>} Memory object with payee -> category mappings
+ * @param {Object} [options]
+ * @param {Object} [options.payeeNormalization] Normalisation settings from loadConfig(),
+ *   so older rows with raw bank descriptions share keys with new normalised payees
+ * @param {number|null} [options.windowDays] Learn from the last N days instead of startDate
+ * @param {number} [options.minCount] Occurrences of a payee's main category needed to learn it
+ * @param {number|null} [options.recencyHalfLifeDays] Halve the weight of observations every N days
+ * @param {boolean} [options.incremental] Only fetch transactions dated from shortly before the
+ *   last rebuild and merge them into the stored observations.  Re-categorisations of older
+ *   transactions are not seen until the next full rebuild.
+ * @param {number} [options.incrementalLookbackDays] How far before the last rebuild an
+ *   incremental rebuild fetches, to pick up recent re-categorisations
+ * @param {number} [options.fullRebuildDays] Fall back to a full rebuild when the last one is
+ *   older than this
+ * @returns {Promise<Object>} Memory object with per-payee category counts.  A
+ *   category classifier is trained on the same history and saved alongside it.
  */
-async function buildMemoryFromLunchMoney(token, startDate = '2023-01-01', saveToFile = true) {
-  console.log(chalk.blue(`📚 Learning from Lunch Money transactions since ${startDate}...`));
+async function buildMemoryFromLunchMoney(token, startDate = '2023-01-01', saveToFile = true, options = {}) {
+  const {
+    payeeNormalization,
+    windowDays = null,
+    minCount = 2,
+    recencyHalfLifeDays = null,
+    incremental = false,
+    incrementalLookbackDays = 30,
+    fullRebuildDays = 7
+  } = options;
+  const windowStart = windowDays ? daysAgo(windowDays) : startDate;
+  const state = loadLearningState();
+  const isIncremental = incremental && canRebuildIncrementally(state, windowStart, fullRebuildDays);
+  let since = windowStart;
+  if (isIncremental) {
+    const lookbackStart = shiftDate(state.lastRebuild.slice(0, 10), -incrementalLookbackDays);
+    since = lookbackStart > windowStart ? lookbackStart : windowStart;
+  }
+
+  console.log(chalk.blue(
+    isIncremental
+      ? `📚 Updating memory with Lunch Money transactions since ${since} (learning window from ${windowStart}; older edits wait for the next full rebuild)...`
+      : `📚 Learning from Lunch Money transactions since ${windowStart}...`
+  ));
   
   try {
-    // Fetch all transactions with retry logic
-    const history = await withRetry(
-      () => fetchTransactionsForLearning(token, startDate),
+    // Fetch transactions with retry logic
+    const fetched = await withRetry(
+      () => fetchTransactionsForLearning(token, since),
       3,
       1000,
       shouldRetryHttpError
     );
+    const observed = mergeObservations(isIncremental ? state.observations : {}, fetched, since, windowStart);
+    const history = Object.values(observed);
+
+    console.log(chalk.blue(`Fetched ${fetched.length} transactions, ${history.length} in the learning window to analyze`));
 
-    console.log(chalk.blue(`Found ${history.length} historical transactions to analyze`));
+    // Category names used in more than one group are learned as "Group/Category"
+    for (let i = 0; i < history.length; i++) {
+      const tx = history[i];
+      if (tx.category_name && tx.category_group_name) {
+        history[i] = { ...tx, category_name: await qualifyCategoryName(token, tx.category_name.trim(), tx.category_group_name) };
+      }
+    }
 
-    const memory = {};
+    const memory = createMemory();
+    const previous = loadMemory();
     const categoryStats = {};
+    // Categories seen since each provisional guess was made, keyed by payee
+    const provisionalObservations = {};
+    for (const [payee, entry] of Object.entries(previous.payees)) {
+      if (entry.provisional) {
+        provisionalObservations[payee] = {};
+      }
+    }
+    const examples = buildTrainingExamples(history, payeeNormalization);
+    const now = Date.now();
     let processed = 0;
     let learned = 0;
 
@@ -34,51 +136,110 @@ async function buildMemoryFromLunchMoney(token, startDate = '2023-01-01', saveTo
       
       // Only learn from transactions that have both payee and category
       if (tx.payee && tx.category_name && tx.payee.trim() && tx.category_name.trim()) {
-        const payee = tx.payee.trim();
+        const payee = sanitizePayee(normalizePayee(tx.payee, payeeNormalization));
         const category = tx.category_name.trim();
         
-        // Track category usage for conflict resolution
+        // Track category usage and recency for conflict resolution
         if (!categoryStats[payee]) {
-          categoryStats[payee] = {};
+          categoryStats[payee] = { categories: {}, counts: {}, lastSeen: null };
         }
-        if (!categoryStats[payee][category]) {
-          categoryStats[payee][category] = 0;
+        const stats = categoryStats[payee];
+        stats.categories[category] = (stats.categories[category] || 0) + recencyWeight(tx.date, recencyHalfLifeDays, now);
+        stats.counts[category] = (stats.counts[category] || 0) + 1;
+        if (tx.date && (!stats.lastSeen || tx.date > stats.lastSeen)) {
+          stats.lastSeen = tx.date;
+        }
+
+        // Stored observations before `since` were not re-fetched and may
+        // predate a correction, so only fresh ones confirm or drop a guess
+        const observations = provisionalObservations[payee];
+        const guessedAt = observations && previous.payees[payee].lastSeen;
+        const fresh = !isIncremental || !tx.date || tx.date >= since;
+        if (observations && fresh && (!guessedAt || !tx.date || tx.date >= guessedAt)) {
+          observations[category] = (observations[category] || 0) + 1;
         }
-        categoryStats[payee][category]++;
       }
     }
 
-    // Build memory using most frequent category for each payee
-    for (const [payee, categories] of Object.entries(categoryStats)) {
-      // Find the most frequently used category for this payee
-      let maxCount = 0;
-      let preferredCategory = null;
-      
-      for (const [category, count] of Object.entries(categories)) {
-        if (count > maxCount) {
-          maxCount = count;
-          preferredCategory = category;
+    // Keep the (recency-weighted) per-category counts of every payee whose
+    // main category was seen often enough
+    for (const stats of Object.values(categoryStats)) {
+      for (const category of Object.keys(stats.categories)) {
+        const weight = Math.round(stats.categories[category] * 1000) / 1000;
+        if (weight > 0) {
+          stats.categories[category] = weight;
+        } else {
+          delete stats.categories[category];
         }
       }
+    }
+    for (const [payee, stats] of Object.entries(categoryStats)) {
+      const entry = { categories: stats.categories, lastSeen: stats.lastSeen, source: 'history' };
+      const preferred = getPreferredCategory(entry);
       
-      if (preferredCategory && maxCount >= 2) { // Require at least 2 occurrences
-        memory[payee] = preferredCategory;
+      if (preferred && stats.counts[preferred.category] >= minCount) {
+        memory.payees[payee] = entry;
         learned++;
       }
     }
 
+    // Manual corrections always survive a rebuild.  Provisional fuzzy guesses
+    // are confirmed if the user kept the guessed category in Lunch Money,
+    // dropped if they changed it, and kept waiting if nothing was seen yet.
+    // Imported entries stay until history learns the payee itself.
+    let confirmed = 0;
+    let dropped = 0;
+    for (const [payee, entry] of Object.entries(previous.payees)) {
+      if (entry.source === 'manual') {
+        memory.payees[payee] = entry;
+      } else if (entry.imported) {
+        if (!memory.payees[payee]) {
+          memory.payees[payee] = entry;
+        }
+      } else if (entry.provisional) {
+        const observations = provisionalObservations[payee];
+        const guessed = getPreferredCategory(entry);
+        if (Object.keys(observations).length === 0) {
+          memory.payees[payee] = entry;
+        } else if (guessed && observations[guessed.category]) {
+          const stats = categoryStats[payee];
+          memory.payees[payee] = { categories: stats.categories, lastSeen: stats.lastSeen, source: 'history' };
+          confirmed++;
+        } else {
+          // Whatever history says about the payee stays; the guess is discarded
+          dropped++;
+        }
+      }
+    }
+
     console.log(chalk.green(`✓ Processed ${processed} transactions`));
     console.log(chalk.green(`✓ Learned ${learned} payee-category mappings`));
+    if (confirmed > 0 || dropped > 0) {
+      console.log(chalk.green(`✓ Confirmed ${confirmed} and dropped ${dropped} provisional fuzzy guesses`));
+    }
     
     // Show some statistics
-    const uniqueCategories = [...new Set(Object.values(memory))];
+    const uniqueCategories = [...new Set(
+      Object.values(memory.payees).map(entry => getPreferredCategory(entry).category)
+    )];
     console.log(chalk.blue(`📊 Statistics:`));
-    console.log(`  • Unique payees learned: ${Object.keys(memory).length}`);
+    console.log(`  • Unique payees learned: ${Object.keys(memory.payees).length}`);
     console.log(`  • Unique categories: ${uniqueCategories.length}`);
     
+    const classifier = trainClassifier(examples);
+    console.log(`  • Classifier trained on: ${classifier.examples} transactions`);
+    
     // Save to file if requested
     if (saveToFile) {
       saveMemory(memory);
+      saveClassifier(classifier);
+      const rebuiltAt = new Date().toISOString();
+      saveLearningState({
+        lastRebuild: rebuiltAt,
+        lastFullRebuild: isIncremental ? state.lastFullRebuild : rebuiltAt,
+        startDate: windowStart,
+        observations: observed
+      });
       console.log(chalk.green('✓ Memory saved to categorization_memory.json'));
     }
 
@@ -90,6 +251,38 @@ async function buildMemoryFromLunchMoney(token, startDate = '2023-01-01', saveTo
   }
 }
 
+/**
+ * Rebuild memory with the learning settings from config.json, optionally
+ * overridden for a single run
+ * @param {Object} config Configuration returned by loadConfig()
+ * @param {Object} [overrides] Any of the `config.learning` settings plus `incremental`
+ * @returns {Promise<Object>} Memory object, see buildMemoryFromLunchMoney()
+ */
+function rebuildMemory(config, overrides = {}) {
+  const learning = { ...config.learning, ...overrides };
+  return buildMemoryFromLunchMoney(config.lunchmoneyToken, learning.startDate, true, {
+    payeeNormalization: config.payeeNormalization,
+    ...learning
+  });
+}
+
+/**
+ * Turn categorised history into classifier training examples
+ * @param {Array<Object>} history Transactions from fetchTransactionsForLearning()
+ * @param {Object} [payeeNormalization] Normalisation settings from loadConfig()
+ * @returns {Array<{payee: string, amount: number, date: string, category: string}>} Labelled examples
+ */
+function buildTrainingExamples(history, payeeNormalization) {
+  return history
+    .filter(tx => tx.payee && tx.payee.trim() && tx.category_name && tx.category_name.trim())
+    .map(tx => ({
+      payee: sanitizePayee(normalizePayee(tx.payee, payeeNormalization)),
+      amount: tx.amount,
+      date: tx.date,
+      category: tx.category_name.trim()
+    }));
+}
+
 /**
  * Enhanced fetch transactions for learning with additional metadata
  * @param {string} token Lunch Money API token
@@ -132,6 +325,7 @@ async function fetchTransactionsForLearning(token, startDate) {
             payee: tx.payee,
             category_name: tx.category_name,
             category_id: tx.category_id,
+            category_group_name: tx.category_group_name || null,
             notes: tx.notes
           });
         }
@@ -155,5 +349,7 @@ async function fetchTransactionsForLearning(token, startDate) {
 
 module.exports = { 
   buildMemoryFromLunchMoney,
+  rebuildMemory,
+  buildTrainingExamples,
   fetchTransactionsForLearning 
 };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./memory');
+
+const LEARNING_FILE = path.join(DATA_DIR, 'learning_state.json');
+
+/**
+ * Load the transactions learned by previous memory rebuilds.  Incremental
+ * rebuilds merge newly fetched transactions into these observations instead
+ * of downloading the whole history again.
+ * @returns {{lastRebuild: string|null, lastFullRebuild: string|null, startDate: string|null, observations: Object<string, Object>}}
+ *   State with observations keyed by Lunch Money transaction ID
+ */
+function loadLearningState() {
+  const empty = { lastRebuild: null, lastFullRebuild: null, startDate: null, observations: {} };
+  try {
+    if (fs.existsSync(LEARNING_FILE)) {
+      return { ...empty, ...JSON.parse(fs.readFileSync(LEARNING_FILE, 'utf8')) };
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load learning state:', error.message);
+  }
+  return empty;
+}
+
+/**
+ * Save the learning state to persistent storage
+ * @param {Object} state State object to save
+ */
+function saveLearningState(state) {
+  try {
+    fs.writeFileSync(LEARNING_FILE, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving learning state:', error.message);
+  }
+}
+
+/**
+ * Merge fetched transactions into stored observations.  Everything stored
+ * from `since` onwards is replaced by what was fetched, so transactions that
+ * were deleted or lost their category disappear too, and observations older
+ * than the learning window are dropped.
+ * @param {Object<string, Object>} observations Stored observations
+ * @param {Array<Object>} fetched Transactions from fetchTransactionsForLearning()
+ * @param {string} since First date covered by `fetched`
+ * @param {string} windowStart Start of the learning window
+ * @returns {Object<string, Object>} Merged observations
+ */
+function mergeObservations(observations, fetched, since, windowStart) {
+  const merged = {};
+  for (const [id, observation] of Object.entries(observations)) {
+    if (observation.date >= windowStart && observation.date < since) {
+      merged[id] = observation;
+    }
+  }
+  for (const tx of fetched) {
+    if (!tx.date || tx.date < windowStart) continue;
+    merged[tx.id] = {
+      date: tx.date,
+      amount: tx.amount,
+      payee: tx.payee,
+      category_name: tx.category_name,
+      category_group_name: tx.category_group_name || null
+    };
+  }
+  return merged;
+}
+
+module.exports = {
+  loadLearningState,
+  saveLearningState,
+  mergeObservations
+};
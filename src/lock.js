@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR } = require('./memory');
+
+/**
+ * Sync lock
+ *
+ * Syncs, memory rebuilds, rollbacks and backfills must not overlap: two
+ * syncs read the same Lunch Money snapshot and both insert what is missing.
+ * The lock is held in this process and as a file in DATA_DIR, so CLI runs
+ * and server replicas sharing the data volume exclude each other too.  The
+ * holder refreshes the file while it works; a file that has not been
+ * refreshed for LOCK_STALE_MS, or whose process is gone, is taken over.
+ */
+
+const LOCK_FILE = path.join(DATA_DIR, 'sync.lock');
+const LOCK_REFRESH_MS = 30 * 1000;
+const LOCK_STALE_MS = 5 * 60 * 1000;
+
+// Holder of the lock in this process, or null
+let held = null;
+let refreshTimer = null;
+
+/**
+ * Read the lock file
+ * @returns {Object|null} Holder recorded in the file, or null if there is none
+ */
+function readLockFile() {
+  try {
+    const holder = JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+    holder.refreshedAt = fs.statSync(LOCK_FILE).mtime.toISOString();
+    return holder;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a lock file holder is no longer working
+ * @param {Object} holder Holder from readLockFile()
+ * @returns {boolean} True if the lock may be taken over
+ */
+function isStale(holder) {
+  if (Date.now() - new Date(holder.refreshedAt).getTime() > LOCK_STALE_MS) {
+    return true;
+  }
+  if (holder.hostname === os.hostname() && holder.pid !== process.pid) {
+    try {
+      process.kill(holder.pid, 0);
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+  return false;
+}
+
+/**
+ * Current holder of the lock, in this or another process
+ * @returns {{operation: string, trigger: string, pid: number, hostname: string, acquiredAt: string}|null}
+ *   Holder, or null if the lock is free
+ */
+function getLockHolder() {
+  if (held) return held;
+  const holder = readLockFile();
+  return holder && !isStale(holder) ? holder : null;
+}
+
+/**
+ * Take the lock without waiting
+ * @param {Object} options
+ * @param {string} options.operation What the lock is taken for, e.g. "sync"
+ * @param {string} options.trigger Who asked, e.g. "cron", "manual", "cli"
+ * @returns {{acquired: boolean, holder: Object}} Whether the lock was taken,
+ *   and the holder (this caller if acquired)
+ */
+function acquireLock({ operation, trigger }) {
+  if (held) {
+    return { acquired: false, holder: held };
+  }
+
+  const holder = {
+    operation,
+    trigger,
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString()
+  };
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      // "wx" fails if the file exists, so only one process can create it
+      fs.writeFileSync(LOCK_FILE, JSON.stringify(holder, null, 2), { flag: 'wx' });
+      held = holder;
+      refreshTimer = setInterval(() => {
+        const now = new Date();
+        try {
+          fs.utimesSync(LOCK_FILE, now, now);
+        } catch (error) {
+          console.warn('Warning: failed to refresh sync lock:', error.message);
+        }
+      }, LOCK_REFRESH_MS);
+      refreshTimer.unref();
+      return { acquired: true, holder };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const current = readLockFile();
+      if (current && !isStale(current)) {
+        return { acquired: false, holder: current };
+      }
+      console.warn(`Warning: taking over stale sync lock${current ? ` held by ${describeHolder(current)}` : ''}`);
+      try {
+        fs.unlinkSync(LOCK_FILE);
+      } catch (unlinkError) {
+        if (unlinkError.code !== 'ENOENT') throw unlinkError;
+      }
+    }
+  }
+  return { acquired: false, holder: readLockFile() };
+}
+
+/**
+ * Release the lock held by this process
+ */
+function releaseLock() {
+  if (!held) return;
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  held = null;
+  try {
+    const current = readLockFile();
+    // Never delete a lock another process took over
+    if (current && current.pid === process.pid && current.hostname === os.hostname()) {
+      fs.unlinkSync(LOCK_FILE);
+    }
+  } catch (error) {
+    console.error('Error releasing sync lock:', error.message);
+  }
+}
+
+// A CLI command may exit while holding the lock
+process.on('exit', releaseLock);
+
+/**
+ * Run a function while holding the lock
+ * @param {Object} options See acquireLock()
+ * @param {function(): Promise<*>} fn Work to do
+ * @returns {Promise<{acquired: boolean, holder: Object, result?: *}>}
+ *   The function's result, or the current holder if the lock is taken
+ */
+async function withLock(options, fn) {
+  const { acquired, holder } = acquireLock(options);
+  if (!acquired) {
+    return { acquired, holder };
+  }
+  try {
+    return { acquired, holder, result: await fn() };
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Describe a lock holder for messages
+ * @param {Object} holder Lock holder
+ * @returns {string} e.g. "sync (cron) on host pid 12 since 2024-01-01T00:00:00.000Z"
+ */
+function describeHolder(holder) {
+  return `${holder.operation} (${holder.trigger}) on ${holder.hostname} pid ${holder.pid} since ${holder.acquiredAt}`;
+}
+
+module.exports = {
+  getLockHolder,
+  acquireLock,
+  releaseLock,
+  withLock,
+  describeHolder
+};
@@ -1,29 +1,74 @@
 const fs = require('fs');
 const path = require('path');
 
-// Use data directory in Docker, fallback to project root
-const DATA_DIR = process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..');
+// Use data directory in Docker, fallback to project root; DATA_DIR overrides both
+const DATA_DIR = process.env.DATA_DIR
+  || (process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..'));
 const MEMORY_FILE = path.join(DATA_DIR, 'categorization_memory.json');
 
+const MEMORY_VERSION = 2;
+
+// Last getMemoryStats() result and the file modification time it was read at
+let statsCache = null;
+
+// Where a memory entry came from, from least to most trusted
+const MEMORY_SOURCES = ['fuzzy', 'history', 'manual'];
+
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
 /**
- * Load categorization memory from persistent storage
- * @returns {Object} Memory object mapping payees to categories
+ * Create an empty memory object
+ * @returns {Object} Memory in the current format
+ */
+function createMemory() {
+  return { version: MEMORY_VERSION, payees: {} };
+}
+
+/**
+ * Convert a flat `payee -> category` memory (version 1) to the current format.
+ * Flat entries were only learned after at least two occurrences, so they are
+ * migrated with a count of two.
+ * @param {Object<string, string>} flat Flat memory object
+ * @returns {Object} Memory in the current format
+ */
+function migrateMemory(flat) {
+  const memory = createMemory();
+  for (const [payee, category] of Object.entries(flat)) {
+    if (typeof category === 'string') {
+      memory.payees[payee] = {
+        categories: { [category]: 2 },
+        lastSeen: null,
+        source: 'history'
+      };
+    }
+  }
+  return memory;
+}
+
+/**
+ * Load categorization memory from persistent storage, migrating the flat
+ * format of earlier versions
+ * @returns {Object} Memory object with a `payees` map of payee -> entry
  */
 function loadMemory() {
   try {
     if (fs.existsSync(MEMORY_FILE)) {
-      const data = fs.readFileSync(MEMORY_FILE, 'utf8');
-      return JSON.parse(data);
+      const data = JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf8'));
+      if (data.version === MEMORY_VERSION && data.payees) {
+        return data;
+      }
+      const migrated = migrateMemory(data);
+      console.log(`Migrated categorization memory to version ${MEMORY_VERSION} (${Object.keys(migrated.payees).length} entries)`);
+      saveMemory(migrated);
+      return migrated;
     }
   } catch (error) {
     console.warn('Warning: failed to load categorization memory:', error.message);
   }
-  return {};
+  return createMemory();
 }
 
 /**
@@ -31,6 +76,7 @@ function loadMemory() {
  * @param {Object} memory Memory object to save
  */
 function saveMemory(memory) {
+  statsCache = null;
   try {
     fs.writeFileSync(MEMORY_FILE, JSON.stringify(memory, null, 2));
   } catch (error) {
@@ -42,6 +88,7 @@ function saveMemory(memory) {
  * Clear all categorization memory
  */
 function clearMemory() {
+  statsCache = null;
   try {
     if (fs.existsSync(MEMORY_FILE)) {
       fs.unlinkSync(MEMORY_FILE);
@@ -52,27 +99,133 @@ function clearMemory() {
 }
 
 /**
- * Get memory statistics
+ * Pick the most used category of a memory entry and score it.
+ *
+ * The confidence is the share of the top category, smoothed by the number of
+ * observations: one sighting scores 0.5, two agreeing sightings 0.67, ten
+ * 0.91.  Manual entries always return the category chosen by the user with
+ * a score of 1.
+ *
+ * @param {Object} entry Memory entry
+ * @returns {{category: string, count: number, total: number, confidence: number}|null}
+ */
+function getPreferredCategory(entry) {
+  let category = null;
+  let count = 0;
+  let total = 0;
+  for (const [name, n] of Object.entries(entry.categories || {})) {
+    total += n;
+    if (n > count) {
+      category = name;
+      count = n;
+    }
+  }
+  if (entry.source === 'manual' && entry.manualCategory) {
+    // A manual choice wins regardless of how often other categories were seen
+    return { category: entry.manualCategory, count: entry.categories[entry.manualCategory] || 0, total, confidence: 1 };
+  }
+  if (!category) return null;
+  return { category, count, total, confidence: count / (total + 1) };
+}
+
+/**
+ * Record a category observation for a payee
+ * @param {Object} memory Memory object
+ * @param {string} payee Payee key
+ * @param {string} category Category name
+ * @param {Object} [options]
+ * @param {string} [options.source] One of MEMORY_SOURCES
+ * @param {string} [options.date] ISO date of the observation
+ * @param {number} [options.count] Number of observations to add
+ * @returns {Object} Updated entry
+ */
+function recordCategory(memory, payee, category, { source = 'history', date = null, count = 1 } = {}) {
+  const entry = memory.payees[payee] || {
+    categories: {},
+    lastSeen: null,
+    source,
+    // Fuzzy guesses wait for confirmation by the next memory rebuild
+    ...(source === 'fuzzy' ? { provisional: true } : {})
+  };
+  entry.categories[category] = (entry.categories[category] || 0) + count;
+  if (date && (!entry.lastSeen || date > entry.lastSeen)) {
+    entry.lastSeen = date;
+  }
+  // Manual and history evidence outrank guesses
+  if (MEMORY_SOURCES.indexOf(source) > MEMORY_SOURCES.indexOf(entry.source)) {
+    entry.source = source;
+    delete entry.provisional;
+  }
+  if (source === 'manual') {
+    entry.manualCategory = category;
+  }
+  memory.payees[payee] = entry;
+  return entry;
+}
+
+/**
+ * Flatten memory into the simple `payee -> category` map used by
+ * `category_rules` in config.json.  Provisional guesses are left out.
+ * @param {Object} memory Memory object
+ * @returns {Object<string, string>} Preferred category per payee
+ */
+function toCategoryRules(memory) {
+  const rules = {};
+  for (const [payee, entry] of Object.entries(memory.payees)) {
+    const preferred = getPreferredCategory(entry);
+    if (preferred && !entry.provisional) {
+      rules[payee] = preferred.category;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Get memory statistics.  They are kept until the memory file changes, so
+ * frequent callers such as metric scrapes do not parse it every time.
  * @returns {Object} Stats about the current memory
  */
 function getMemoryStats() {
+  const modified = fs.existsSync(MEMORY_FILE) ? fs.statSync(MEMORY_FILE).mtime : null;
+  const mtimeMs = modified ? modified.getTime() : null;
+  if (statsCache && statsCache.mtimeMs === mtimeMs) {
+    return statsCache.stats;
+  }
+
   const memory = loadMemory();
-  const entries = Object.keys(memory);
-  const categories = [...new Set(Object.values(memory))];
+  const entries = Object.values(memory.payees);
+  const categories = [...new Set(
+    entries.map(entry => getPreferredCategory(entry)).filter(Boolean).map(pref => pref.category)
+  )];
+  const sources = {};
+  let provisional = 0;
+  for (const entry of entries) {
+    sources[entry.source] = (sources[entry.source] || 0) + 1;
+    if (entry.provisional) provisional++;
+  }
   
-  return {
+  const stats = {
     totalEntries: entries.length,
     uniqueCategories: categories.length,
     categories: categories.sort(),
-    lastModified: fs.existsSync(MEMORY_FILE) 
-      ? fs.statSync(MEMORY_FILE).mtime.toISOString()
-      : null
+    sources,
+    provisional,
+    lastModified: modified ? modified.toISOString() : null
   };
+  statsCache = { mtimeMs, stats };
+  return stats;
 }
 
 module.exports = { 
+  DATA_DIR,
+  MEMORY_SOURCES,
+  createMemory,
+  migrateMemory,
   loadMemory, 
   saveMemory, 
   clearMemory,
+  getPreferredCategory,
+  recordCategory,
+  toCategoryRules,
   getMemoryStats
-};
\ No newline at end of file
+};
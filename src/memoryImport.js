@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  createMemory,
+  migrateMemory,
+  loadMemory,
+  saveMemory,
+  getPreferredCategory,
+  MEMORY_SOURCES
+} = require('./memory');
+const { sanitizePayee, checkCategoryNames } = require('./categorize');
+
+// How a payee known on both sides with different categories is resolved
+const MERGE_STRATEGIES = ['keep', 'overwrite', 'highest-count'];
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line CSV line
+ * @returns {string[]} Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Parse a `payee,category` CSV into a flat map.  A header row is skipped.
+ * @param {string} content CSV text
+ * @returns {{rules: Object<string, string>, invalid: number}} Mappings and the number of unusable rows
+ */
+function parseCsv(content) {
+  const rules = {};
+  let invalid = 0;
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  lines.forEach((line, index) => {
+    const [payee, category] = parseCsvLine(line);
+    if (index === 0 && payee.toLowerCase() === 'payee' && (category || '').toLowerCase() === 'category') {
+      return;
+    }
+    if (!payee || !category) {
+      invalid++;
+      return;
+    }
+    rules[payee] = category;
+  });
+  return { rules, invalid };
+}
+
+/**
+ * Parse an import file into memory format.  Accepts the `category_rules`
+ * JSON printed by `memory export`, a `payee,category` CSV, and the raw
+ * categorization_memory.json (current or flat format).
+ * @param {string} content File content
+ * @param {string} [filename] File name, used to recognise CSV files
+ * @returns {{format: string, memory: Object, invalid: number}} Parsed memory and the number of unusable rows
+ */
+function parseMemoryImport(content, filename = '') {
+  const trimmed = content.trim();
+  if (path.extname(filename).toLowerCase() === '.csv' || !trimmed.startsWith('{')) {
+    const { rules, invalid } = parseCsv(content);
+    return { format: 'csv', memory: migrateMemory(rules), invalid };
+  }
+
+  const data = JSON.parse(trimmed);
+  if (data.payees && typeof data.payees === 'object') {
+    return { format: 'memory', memory: { ...createMemory(), payees: data.payees }, invalid: 0 };
+  }
+  if (data.category_rules !== undefined) {
+    if (Array.isArray(data.category_rules)) {
+      throw new Error('Structured category_rules cannot be imported into memory; only the payee -> category map can');
+    }
+    const rules = data.category_rules || {};
+    const invalid = Object.values(rules).filter(category => typeof category !== 'string').length;
+    return { format: 'category_rules', memory: migrateMemory(rules), invalid };
+  }
+  // Flat payee -> category memory of earlier versions
+  const invalid = Object.values(data).filter(category => typeof category !== 'string').length;
+  return { format: 'memory', memory: migrateMemory(data), invalid };
+}
+
+/**
+ * Decide whether an imported entry replaces an existing one with a
+ * different category
+ * @param {Object} existing Existing memory entry
+ * @param {Object} imported Imported memory entry
+ * @param {string} strategy One of MERGE_STRATEGIES
+ * @returns {boolean} True if the imported entry wins
+ */
+function importedWins(existing, imported, strategy) {
+  if (strategy === 'overwrite') return true;
+  if (strategy === 'keep') return false;
+  // highest-count: a manual choice beats learned counts, otherwise the
+  // entry with more observations of its category wins and ties keep
+  // the existing one
+  const existingManual = existing.source === 'manual';
+  const importedManual = imported.source === 'manual';
+  if (existingManual !== importedManual) return importedManual;
+  return getPreferredCategory(imported).count > getPreferredCategory(existing).count;
+}
+
+/**
+ * Import memory entries from a file into the categorization memory.
+ * Imported entries whose category does not exist in Lunch Money and
+ * provisional fuzzy guesses are skipped.  The conflict report is printed
+ * before anything is written.  Imported entries are kept by later memory
+ * rebuilds until Lunch Money history has its own entry for the payee.
+ * @param {Object} options
+ * @param {string} options.token Lunch Money API token
+ * @param {string} options.file Path of the file to import
+ * @param {string} [options.strategy] One of MERGE_STRATEGIES
+ * @param {boolean} [options.dryRun] Only report, without writing the memory
+ * @returns {Promise<Object>} Import report
+ */
+async function importMemory({ token, file, strategy = 'keep', dryRun = false }) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}", expected one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  const { format, memory: incoming, invalid } = parseMemoryImport(fs.readFileSync(file, 'utf8'), file);
+  const memory = loadMemory();
+  const report = {
+    file,
+    format,
+    strategy,
+    dryRun,
+    total: 0,
+    added: [],
+    unchanged: 0,
+    conflicts: [],
+    skipped: { invalid, provisional: 0, unknownCategory: 0 },
+    unknownCategories: [],
+    written: false
+  };
+
+  // Sanitised like learned payees; entries without a usable category are invalid
+  const entries = [];
+  for (const [rawPayee, entry] of Object.entries(incoming.payees)) {
+    report.total++;
+    const payee = sanitizePayee(rawPayee);
+    const preferred = entry && entry.categories ? getPreferredCategory(entry) : null;
+    if (!payee || !preferred) {
+      report.skipped.invalid++;
+    } else if (entry.provisional) {
+      report.skipped.provisional++;
+    } else {
+      const source = MEMORY_SOURCES.includes(entry.source) ? entry.source : 'history';
+      entries.push({ payee, preferred, entry: { ...entry, source, imported: true } });
+    }
+  }
+  report.total += invalid;
+
+  const unknown = new Set(await checkCategoryNames(token, entries.map(({ preferred }) => preferred.category)));
+  for (const name of unknown) {
+    const payees = entries.filter(({ preferred }) => preferred.category === name).map(({ payee }) => payee);
+    report.unknownCategories.push({ category: name, payees });
+    report.skipped.unknownCategory += payees.length;
+  }
+
+  for (const { payee, preferred, entry } of entries) {
+    if (unknown.has(preferred.category)) continue;
+
+    const existing = memory.payees[payee];
+    const current = existing && getPreferredCategory(existing);
+    if (!current) {
+      memory.payees[payee] = entry;
+      report.added.push(payee);
+    } else if (current.category === preferred.category) {
+      report.unchanged++;
+    } else {
+      const wins = importedWins(existing, entry, strategy);
+      report.conflicts.push({
+        payee,
+        existing: { category: current.category, count: current.count, source: existing.source },
+        imported: { category: preferred.category, count: preferred.count, source: entry.source },
+        resolution: wins ? 'imported' : 'existing'
+      });
+      if (wins) {
+        memory.payees[payee] = entry;
+      }
+    }
+  }
+
+  printReport(report);
+
+  if (!dryRun) {
+    saveMemory(memory);
+    report.written = true;
+    console.log(chalk.green(`✓ Memory saved with ${Object.keys(memory.payees).length} entries`));
+  } else {
+    console.log(chalk.yellow('Dry run: memory not written'));
+  }
+
+  return report;
+}
+
+/**
+ * Print the import summary and conflict report
+ * @param {Object} report Report built by importMemory()
+ */
+function printReport(report) {
+  const replaced = report.conflicts.filter(conflict => conflict.resolution === 'imported').length;
+  console.log(chalk.blue(`📥 Importing ${report.total} mapping(s) from ${report.file} (${report.format}, strategy: ${report.strategy})`));
+  console.log(`  New payees: ${report.added.length}`);
+  console.log(`  Already known with the same category: ${report.unchanged}`);
+  console.log(`  Conflicts: ${report.conflicts.length} (${replaced} replaced, ${report.conflicts.length - replaced} kept)`);
+
+  if (report.conflicts.length > 0) {
+    console.log(chalk.bold('\n  Conflicts:'));
+    for (const { payee, existing, imported, resolution } of report.conflicts) {
+      const mark = resolution === 'imported' ? chalk.yellow('→ imported') : chalk.gray('→ existing');
+      console.log(
+        `    "${payee}": "${existing.category}" (${existing.count}, ${existing.source}) vs ` +
+        `"${imported.category}" (${imported.count}, ${imported.source}) ${mark}`
+      );
+    }
+  }
+
+  if (report.unknownCategories.length > 0) {
+    console.log(chalk.red('\n  Categories not found in Lunch Money (skipped):'));
+    for (const { category, payees } of report.unknownCategories) {
+      console.log(chalk.red(`    "${category}": ${payees.length} payee(s)`));
+    }
+  }
+  if (report.skipped.invalid > 0) {
+    console.log(chalk.yellow(`  Skipped ${report.skipped.invalid} invalid row(s)`));
+  }
+  if (report.skipped.provisional > 0) {
+    console.log(chalk.yellow(`  Skipped ${report.skipped.provisional} provisional fuzzy guess(es)`));
+  }
+}
+
+module.exports = {
+  MERGE_STRATEGIES,
+  parseMemoryImport,
+  importMemory
+};
@@ -0,0 +1,129 @@
+/**
+ * Inverted n-gram index over memory payees
+ *
+ * assignCategoryId() needs two lookups per transaction: memory payees
+ * contained in the transaction payee, and the most similar payee by bigram
+ * Dice coefficient.  Scanning every entry for both is quadratic over a
+ * backfill, so the index is built once per sync with each key tokenised up
+ * front.  Results are identical to the linear scans, including which entry
+ * wins a tie (the first in memory order).
+ */
+
+/**
+ * Distinct character bigrams of a lower-case string
+ * @param {string} str Lower-case string
+ * @returns {Set<string>} Bigrams
+ */
+function bigramsOf(str) {
+  const bigrams = new Set();
+  for (let i = 0; i < str.length - 1; i++) {
+    bigrams.add(str.substr(i, 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Build the index
+ * @param {string[]} payees Memory payees, in memory order
+ * @returns {{size: number, findContained: function(string): (string|null), findSimilar: function(string, number): Array<{target: string, rating: number}>, findBestMatch: function(string): {target: string|null, rating: number}}}
+ */
+function buildMemoryIndex(payees) {
+  const keys = payees.map((payee, order) => {
+    const lower = payee.toLowerCase();
+    return { payee, lower, order, bigrams: bigramsOf(lower) };
+  });
+
+  // Payees are found inside a longer string through their leading trigram;
+  // shorter ones are rare enough to test directly.
+  const byTrigram = new Map();
+  const shortKeys = [];
+  // Bigram -> keys containing it, for the Dice coefficient
+  const byBigram = new Map();
+
+  for (const key of keys) {
+    if (key.lower.length >= 3) {
+      const trigram = key.lower.slice(0, 3);
+      if (!byTrigram.has(trigram)) byTrigram.set(trigram, []);
+      byTrigram.get(trigram).push(key);
+    } else {
+      shortKeys.push(key);
+    }
+    for (const bigram of key.bigrams) {
+      if (!byBigram.has(bigram)) byBigram.set(bigram, []);
+      byBigram.get(bigram).push(key);
+    }
+  }
+
+  /**
+   * First memory payee (in memory order) contained in a payee, ignoring case
+   * @param {string} payee Transaction payee
+   * @returns {string|null} Memory payee or null
+   */
+  function findContained(payee) {
+    const lower = payee.toLowerCase();
+    let best = null;
+    const consider = key => {
+      if ((!best || key.order < best.order) && lower.includes(key.lower)) {
+        best = key;
+      }
+    };
+    for (let i = 0; i <= lower.length - 3; i++) {
+      const bucket = byTrigram.get(lower.slice(i, i + 3));
+      if (bucket) bucket.forEach(consider);
+    }
+    shortKeys.forEach(consider);
+    return best ? best.payee : null;
+  }
+
+  /**
+   * Memory payees whose Dice coefficient with a payee reaches a minimum
+   * @param {string} payee Transaction payee
+   * @param {number} minRating Minimum similarity, above 0
+   * @returns {Array<{target: string, rating: number}>} Matches in memory order
+   */
+  function findSimilar(payee, minRating) {
+    const lower = payee.toLowerCase();
+    if (lower.length < 2) return [];
+    const target = bigramsOf(lower);
+    const shared = new Map();
+    for (const bigram of target) {
+      const bucket = byBigram.get(bigram);
+      if (!bucket) continue;
+      for (const key of bucket) {
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+
+    const matches = [];
+    for (const [key, count] of shared) {
+      const rating = key.lower === lower ? 1 : (2 * count) / (target.size + key.bigrams.size);
+      if (rating >= minRating) {
+        matches.push({ key, rating });
+      }
+    }
+    return matches
+      .sort((a, b) => a.key.order - b.key.order)
+      .map(({ key, rating }) => ({ target: key.payee, rating }));
+  }
+
+  /**
+   * Most similar memory payee, as findBestMatch() would return it
+   * @param {string} payee Transaction payee
+   * @returns {{target: string|null, rating: number}} Best match
+   */
+  function findBestMatch(payee) {
+    let bestMatch = { target: null, rating: 0 };
+    for (const match of findSimilar(payee, Number.MIN_VALUE)) {
+      if (match.rating > bestMatch.rating) {
+        bestMatch = match;
+      }
+    }
+    return bestMatch;
+  }
+
+  return { size: keys.length, findContained, findSimilar, findBestMatch };
+}
+
+module.exports = {
+  buildMemoryIndex
+};
@@ -0,0 +1,274 @@
+const { getMemoryStats } = require('./memory');
+const { loadRunJournal } = require('./runJournal');
+
+/**
+ * Prometheus metrics
+ *
+ * Counters and histograms live in this process and start from zero on every
+ * restart, as Prometheus expects.  The last-success gauge is read from the
+ * run journal once, at the first scrape, and then kept up to date by the
+ * syncs of this process.  The memory gauges use getMemoryStats(), which only
+ * re-reads the memory file after it changed.
+ */
+
+const PREFIX = 'lunchmoney_fintoc_sync_';
+
+// Seconds; Lunch Money inserts of large batches can take several seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Hosts whose requests are timed, by the `api` label they get
+const API_HOSTS = {
+  'api.fintoc.com': 'fintoc',
+  'dev.lunchmoney.app': 'lunchmoney'
+};
+
+const definitions = [
+  { name: 'movements_fetched_total', type: 'counter', help: 'Fintoc movements fetched by syncs', labels: ['account'] },
+  { name: 'transactions_inserted_total', type: 'counter', help: 'Transactions inserted into Lunch Money', labels: ['account'] },
+  { name: 'duplicates_skipped_total', type: 'counter', help: 'Movements skipped as already in Lunch Money', labels: ['account'] },
+  { name: 'errors_total', type: 'counter', help: 'Fetch, processing and insertion errors of syncs', labels: ['account'] },
+  { name: 'retries_total', type: 'counter', help: 'Failed API calls retried by withRetry()', labels: ['api'] },
+  { name: 'categorizations_total', type: 'counter', help: 'Category lookups by the source that matched, "none" if nothing did', labels: ['source'] },
+  { name: 'http_request_duration_seconds', type: 'histogram', help: 'Fintoc and Lunch Money API request latency', labels: ['api', 'method', 'status'] },
+  { name: 'last_success_timestamp_seconds', type: 'gauge', help: 'Unix time of the last successful non-dry-run sync of an account', labels: ['account'], collect: collectLastSuccess },
+  { name: 'memory_entries', type: 'gauge', help: 'Categorization memory entries by how they were learned', labels: ['source'], collect: collectMemoryEntries },
+  { name: 'memory_provisional_entries', type: 'gauge', help: 'Memory entries awaiting confirmation from Lunch Money history', labels: [], collect: collectProvisionalEntries }
+];
+
+// Samples of counters and histograms: metric name → label key → sample
+const samples = new Map(definitions.map(definition => [definition.name, new Map()]));
+
+// Account → Unix time of its last successful sync
+const lastSuccess = new Map();
+let lastSuccessLoaded = false;
+
+/**
+ * Find or create the sample of a metric for a set of label values
+ * @param {string} name Metric name without prefix
+ * @param {Object<string, string>} labels Label values
+ * @param {function(): Object} create Builds a new sample
+ * @returns {Object} Sample
+ */
+function getSample(name, labels, create) {
+  const series = samples.get(name);
+  const key = JSON.stringify(labels);
+  if (!series.has(key)) {
+    series.set(key, { labels, ...create() });
+  }
+  return series.get(key);
+}
+
+/**
+ * Increase a counter
+ * @param {string} name Metric name without prefix
+ * @param {Object<string, string>} labels Label values
+ * @param {number} [amount] Amount to add
+ */
+function increment(name, labels, amount = 1) {
+  getSample(name, labels, () => ({ value: 0 })).value += amount;
+}
+
+/**
+ * Add an observation to a histogram
+ * @param {string} name Metric name without prefix
+ * @param {Object<string, string>} labels Label values
+ * @param {number} value Observed value
+ */
+function observe(name, labels, value) {
+  const sample = getSample(name, labels, () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  LATENCY_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) sample.buckets[index]++;
+  });
+  sample.sum += value;
+  sample.count++;
+}
+
+/**
+ * Count the movements, inserts, duplicates and errors of one account's sync,
+ * and remember when it last succeeded
+ * @param {string} account Account name
+ * @param {Object} result Result returned by syncAccount()
+ */
+function recordAccountSync(account, result) {
+  if (result.success) {
+    lastSuccess.set(account, Date.now() / 1000);
+  }
+  const labels = { account };
+  increment('movements_fetched_total', labels, result.processed || 0);
+  increment('transactions_inserted_total', labels, result.inserted || 0);
+  increment('duplicates_skipped_total', labels, result.skipped || 0);
+  increment('errors_total', labels, result.errors || 0);
+}
+
+/**
+ * API a failed call went to.  Axios errors carry the request URL.  The
+ * fetch helpers rethrow plain errors, and of those only Fintoc's start with
+ * "Fintoc"; the others come from Lunch Money.  Notification deliveries
+ * (other URLs, SMTP and socket errors with a `code`) count as 'other'.
+ * @param {Error} error Error thrown by the call
+ * @returns {string} 'fintoc', 'lunchmoney' or 'other'
+ */
+function apiOfError(error) {
+  const url = error.config && error.config.url;
+  if (url) {
+    try {
+      return API_HOSTS[new URL(url).hostname] || 'other';
+    } catch (parseError) {
+      return 'other';
+    }
+  }
+  if (error.code) return 'other';
+  return /^Fintoc/.test(error.message) ? 'fintoc' : 'lunchmoney';
+}
+
+/**
+ * Count a retry by withRetry()
+ * @param {Error} error Error that triggered the retry
+ */
+function recordRetry(error) {
+  increment('retries_total', { api: apiOfError(error) });
+}
+
+/**
+ * Count a category lookup by the stage that matched
+ * @param {string|null} matchSource matchSource returned by assignCategoryId()
+ */
+function recordCategorization(matchSource) {
+  // Fuzzy sources carry their similarity ("memory_fuzzy_83%")
+  const source = !matchSource ? 'none' : matchSource.startsWith('memory_fuzzy') ? 'memory_fuzzy' : matchSource;
+  increment('categorizations_total', { source });
+}
+
+/**
+ * Time every Fintoc and Lunch Money request made through an axios instance
+ * @param {Object} instance Axios instance, e.g. the default `axios` export
+ */
+function instrumentAxios(instance) {
+  /**
+   * Record the latency of a finished request
+   * @param {Object|undefined} config Axios request config
+   * @param {number|string} status HTTP status, or 'error' without a response
+   */
+  function record(config, status) {
+    if (!config || !config.requestStartedAt) return;
+    let api;
+    try {
+      api = API_HOSTS[new URL(config.url).hostname];
+    } catch (error) {
+      return;
+    }
+    if (!api) return;
+    observe('http_request_duration_seconds', {
+      api,
+      method: (config.method || 'get').toUpperCase(),
+      status: String(status)
+    }, (Date.now() - config.requestStartedAt) / 1000);
+  }
+
+  instance.interceptors.request.use(config => {
+    config.requestStartedAt = Date.now();
+    return config;
+  });
+  instance.interceptors.response.use(
+    response => {
+      record(response.config, response.status);
+      return response;
+    },
+    error => {
+      record(error.config, error.response ? error.response.status : 'error');
+      return Promise.reject(error);
+    }
+  );
+}
+
+/**
+ * Last successful sync of every account.  Runs from before this process
+ * started are taken from the run journal at the first scrape.
+ * @returns {Array<{labels: Object, value: number}>} Samples
+ */
+function collectLastSuccess() {
+  if (!lastSuccessLoaded) {
+    for (const run of loadRunJournal().runs) {
+      if (run.dryRun) continue;
+      const finishedAt = Date.parse(run.finishedAt) / 1000;
+      for (const { account, success } of run.accounts) {
+        if (success && !(lastSuccess.get(account) >= finishedAt)) {
+          lastSuccess.set(account, finishedAt);
+        }
+      }
+    }
+    lastSuccessLoaded = true;
+  }
+  return [...lastSuccess].map(([account, value]) => ({ labels: { account }, value }));
+}
+
+/**
+ * Memory entries by source
+ * @param {Object} memoryStats Result of getMemoryStats()
+ * @returns {Array<{labels: Object, value: number}>} Samples
+ */
+function collectMemoryEntries(memoryStats) {
+  return Object.entries(memoryStats.sources).map(([source, value]) => ({ labels: { source }, value }));
+}
+
+/**
+ * Provisional memory entries
+ * @param {Object} memoryStats Result of getMemoryStats()
+ * @returns {Array<{labels: Object, value: number}>} Samples
+ */
+function collectProvisionalEntries(memoryStats) {
+  return [{ labels: {}, value: memoryStats.provisional }];
+}
+
+/**
+ * Format labels as {name="value",...}
+ * @param {Object<string, string>} labels Label values
+ * @returns {string} Label set, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} Metrics document
+ */
+function renderMetrics() {
+  const memoryStats = getMemoryStats();
+  const lines = [];
+  for (const definition of definitions) {
+    const name = PREFIX + definition.name;
+    lines.push(`# HELP ${name} ${definition.help}`);
+    lines.push(`# TYPE ${name} ${definition.type}`);
+
+    if (definition.collect) {
+      for (const { labels, value } of definition.collect(memoryStats)) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      continue;
+    }
+    for (const sample of samples.get(definition.name).values()) {
+      if (definition.type === 'histogram') {
+        LATENCY_BUCKETS.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: String(bound) })} ${sample.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+        lines.push(`${name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+        lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+      } else {
+        lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  recordAccountSync,
+  recordRetry,
+  recordCategorization,
+  instrumentAxios,
+  renderMetrics
+};
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const { DATA_DIR } = require('./memory');
+const { loadRunJournal } = require('./runJournal');
+const { sendMail } = require('./smtp');
+const { withRetry, shouldRetryHttpError } = require('./utils');
+
+/**
+ * Notifications
+ *
+ * Sync outcomes are turned into events per account: `failure` for every
+ * failed sync, `consecutive_failures` when a failure streak reaches a
+ * channel's threshold and `recovery` for the first success after a streak.
+ * `digest` summarises the transactions inserted since the previous digest.
+ * Every channel picks the events it wants and may override their templates.
+ */
+
+const STATE_FILE = path.join(DATA_DIR, 'notification_state.json');
+
+// Placeholders are {{name}}; unknown names render empty
+const DEFAULT_TEMPLATES = {
+  failure: '❌ Sync of {{account}} failed: {{error}}',
+  consecutive_failures: '🚨 Sync of {{account}} has failed {{failures}} times in a row since {{since}}. Last error: {{error}}',
+  recovery: '✅ Sync of {{account}} recovered after {{failures}} failed run(s) since {{since}}',
+  digest: '📬 {{total}} transaction(s) inserted since {{since}}\n{{summary}}'
+};
+
+const TITLES = {
+  failure: 'Sync of {{account}} failed',
+  consecutive_failures: 'Sync of {{account}} failing since {{since}}',
+  recovery: 'Sync of {{account}} recovered',
+  digest: 'Daily digest: {{total}} transaction(s) inserted'
+};
+
+// Longest transaction list per account in a digest
+const DIGEST_MAX_TRANSACTIONS = 20;
+
+/**
+ * Load the notification state from persistent storage
+ * @returns {{accounts: Object<string, {failures: number, since: string|null, lastError: string|null}>, lastDigestAt: string|null}}
+ *   Failure streak per account and the time of the last digest
+ */
+function loadNotificationState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      return { accounts: {}, lastDigestAt: null, ...state };
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load notification state:', error.message);
+  }
+  return { accounts: {}, lastDigestAt: null };
+}
+
+/**
+ * Save the notification state to persistent storage
+ * @param {Object} state State to save
+ */
+function saveNotificationState(state) {
+  try {
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error('Error saving notification state:', error.message);
+  }
+}
+
+/**
+ * Replace {{name}} placeholders
+ * @param {string} template Template text
+ * @param {Object} vars Values by placeholder name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : ''));
+}
+
+/**
+ * Render an event for a channel
+ * @param {Object} channel Channel from config.notifications.channels
+ * @param {{event: string, vars: Object}} notification Event and its values
+ * @returns {{event: string, title: string, text: string, vars: Object}} Rendered notification
+ */
+function renderNotification(channel, { event, vars }) {
+  const allVars = { event, host: os.hostname(), time: new Date().toISOString(), ...vars };
+  allVars.title = renderTemplate(TITLES[event], allVars);
+  return {
+    event,
+    title: allVars.title,
+    text: renderTemplate(channel.templates[event] || DEFAULT_TEMPLATES[event], allVars),
+    vars: allVars
+  };
+}
+
+/**
+ * Post a notification as JSON to a webhook
+ * @param {Object} channel Webhook channel
+ * @param {Object} notification Rendered notification
+ */
+async function sendWebhook(channel, notification) {
+  if (!channel.url) {
+    throw new Error('Webhook channel has no url');
+  }
+  await axios.post(channel.url, {
+    event: notification.event,
+    title: notification.title,
+    text: notification.text,
+    data: notification.vars,
+    timestamp: notification.vars.time
+  }, { headers: channel.headers, timeout: 10000 });
+}
+
+/**
+ * Send a notification through a Telegram bot
+ * @param {Object} channel Telegram channel
+ * @param {Object} notification Rendered notification
+ */
+async function sendTelegram(channel, notification) {
+  if (!channel.botToken || !channel.chatId) {
+    throw new Error(`Telegram channel needs ${channel.botTokenEnv} and chat_id`);
+  }
+  await axios.post(`${channel.apiUrl}/bot${channel.botToken}/sendMessage`, {
+    chat_id: channel.chatId,
+    text: notification.text,
+    disable_web_page_preview: true
+  }, { timeout: 10000 });
+}
+
+/**
+ * Send a notification by email
+ * @param {Object} channel Email channel
+ * @param {Object} notification Rendered notification
+ */
+async function sendEmail(channel, notification) {
+  if (!channel.smtp.host || !channel.from || channel.to.length === 0) {
+    throw new Error('Email channel needs smtp.host, from and to');
+  }
+  await sendMail(channel.smtp, {
+    from: channel.from,
+    to: channel.to,
+    subject: renderTemplate(channel.subject, notification.vars),
+    text: notification.text
+  });
+}
+
+/**
+ * Check if a failed delivery should be retried: network errors, 5xx and 429
+ * responses, and temporary (4xx) SMTP replies.  A server without TLS will
+ * not offer it on the next attempt either.
+ * @param {Error} error The error to check
+ * @returns {boolean} True if the delivery should be retried
+ */
+function shouldRetryDelivery(error) {
+  if (error.code === 'ENOTLS') {
+    return false;
+  }
+  if (error.code === 'EPROTOCOL') {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return shouldRetryHttpError(error);
+}
+
+const SENDERS = {
+  webhook: sendWebhook,
+  telegram: sendTelegram,
+  email: sendEmail
+};
+
+/**
+ * Deliver notifications to the channels that want them.  Delivery errors are
+ * logged, never thrown, so a broken channel cannot fail a sync.
+ * @param {Array<Object>} channels Channels from config.notifications.channels
+ * @param {Array<{event: string, vars: Object}>} notifications Events to deliver
+ * @param {Object} [options]
+ * @param {boolean} [options.force] Ignore the channels' triggers, for tests
+ * @returns {Promise<Array<{channel: string, event: string, success: boolean, error?: string}>>} Delivery results
+ */
+async function deliver(channels, notifications, { force = false } = {}) {
+  const results = [];
+  for (const notification of notifications) {
+    for (const channel of channels) {
+      const wanted = channel.triggers.includes(notification.event) &&
+        (notification.event !== 'consecutive_failures' || notification.vars.failures === channel.consecutiveFailures);
+      if (!force && !wanted) continue;
+
+      try {
+        const rendered = renderNotification(channel, notification);
+        await withRetry(() => SENDERS[channel.type](channel, rendered), 2, 1000, shouldRetryDelivery);
+        console.log(chalk.blue(`📣 Sent ${notification.event} notification to ${channel.name}`));
+        results.push({ channel: channel.name, event: notification.event, success: true });
+      } catch (error) {
+        console.error(chalk.red(`Failed to notify ${channel.name} (${notification.event}):`), error.message);
+        results.push({ channel: channel.name, event: notification.event, success: false, error: error.message });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Describe why an account's sync failed
+ * @param {Object} result Account result from sync().accounts
+ * @returns {string} Error message
+ */
+function describeFailure(result) {
+  if (result.error) return result.error;
+  const first = (result.insertionErrors || [])[0] || (result.processingErrors || [])[0];
+  if (first) return first.error;
+  return `${result.errors || 0} error(s)`;
+}
+
+/**
+ * Update the failure streaks with a sync result and send the failure,
+ * consecutive failure and recovery notifications it causes.  Never rejects.
+ * @param {Object} config Configuration returned by loadConfig()
+ * @param {Object} result Result returned by sync(); a sync that threw can be
+ *   passed as `{ accounts: [{ account, success: false, error }] }`
+ * @returns {Promise<Array<Object>>} Delivery results, see deliver()
+ */
+async function notifySyncResult(config, result) {
+  const { channels } = config.notifications;
+  if (channels.length === 0 || result.dryRun) return [];
+
+  const state = loadNotificationState();
+  const now = new Date().toISOString();
+  const notifications = [];
+  for (const accountResult of result.accounts) {
+    const streak = state.accounts[accountResult.account] || { failures: 0, since: null, lastError: null };
+    if (!accountResult.success) {
+      streak.failures++;
+      streak.since = streak.since || now;
+      streak.lastError = describeFailure(accountResult);
+      const vars = { account: accountResult.account, error: streak.lastError, failures: streak.failures, since: streak.since };
+      notifications.push({ event: 'failure', vars });
+      notifications.push({ event: 'consecutive_failures', vars });
+      state.accounts[accountResult.account] = streak;
+    } else if (streak.failures > 0) {
+      notifications.push({
+        event: 'recovery',
+        vars: { account: accountResult.account, error: streak.lastError, failures: streak.failures, since: streak.since }
+      });
+      delete state.accounts[accountResult.account];
+    }
+  }
+  saveNotificationState(state);
+
+  try {
+    return await deliver(channels, notifications);
+  } catch (error) {
+    console.error(chalk.red('Error sending notifications:'), error.message);
+    return [];
+  }
+}
+
+/**
+ * Transactions inserted by non-dry-run syncs in a period, per account
+ * @param {Object} config Configuration returned by loadConfig()
+ * @param {string} since ISO timestamp, exclusive
+ * @param {string} until ISO timestamp, inclusive
+ * @returns {{total: number, summary: string, accounts: Array<{account: string, inserted: number}>}} Digest values
+ */
+function buildDigest(config, since, until) {
+  const byAccount = {};
+  for (const run of loadRunJournal().runs) {
+    if (run.dryRun || run.finishedAt <= since || run.finishedAt > until) continue;
+    for (const { account, insertedTransactions = [] } of run.accounts) {
+      byAccount[account] = (byAccount[account] || []).concat(insertedTransactions);
+    }
+  }
+
+  const lines = [];
+  const accounts = [];
+  let total = 0;
+  for (const [account, transactions] of Object.entries(byAccount)) {
+    if (transactions.length === 0) continue;
+    const currency = (config.accounts.find(candidate => candidate.name === account) || {}).currency || config.currency;
+    total += transactions.length;
+    accounts.push({ account, inserted: transactions.length });
+    lines.push(`${account}: ${transactions.length}`);
+    for (const tx of transactions.slice(0, DIGEST_MAX_TRANSACTIONS)) {
+      lines.push(`  ${tx.date} ${tx.payee} ${tx.amount} ${currency}`);
+    }
+    if (transactions.length > DIGEST_MAX_TRANSACTIONS) {
+      lines.push(`  … and ${transactions.length - DIGEST_MAX_TRANSACTIONS} more`);
+    }
+  }
+  return { total, summary: lines.length > 0 ? lines.join('\n') : 'No new transactions.', accounts };
+}
+
+/**
+ * Send the digest of transactions inserted since the previous digest (or the
+ * last 24 hours for the first one) to the channels subscribed to `digest`
+ * @param {Object} config Configuration returned by loadConfig()
+ * @returns {Promise<Array<Object>>} Delivery results, see deliver()
+ */
+async function sendDigest(config) {
+  const state = loadNotificationState();
+  const until = new Date().toISOString();
+  const since = state.lastDigestAt || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const { total, summary, accounts } = buildDigest(config, since, until);
+
+  const results = await deliver(config.notifications.channels, [{
+    event: 'digest',
+    vars: { since, until, total, summary, accounts: accounts.map(({ account }) => account).join(', ') }
+  }]);
+  // Only move on when the digest went out, so a failed one is not lost
+  if (results.some(delivery => delivery.success)) {
+    saveNotificationState({ ...loadNotificationState(), lastDigestAt: until });
+  }
+  return results;
+}
+
+/**
+ * Send a sample notification, ignoring the channels' triggers
+ * @param {Object} config Configuration returned by loadConfig()
+ * @param {Object} [options]
+ * @param {string} [options.channel] Only notify this channel
+ * @param {string} [options.event] Event to simulate
+ * @returns {Promise<Array<Object>>} Delivery results, see deliver()
+ * @throws {Error} If the channel or event is unknown
+ */
+async function sendTestNotification(config, { channel = null, event = 'failure' } = {}) {
+  if (!DEFAULT_TEMPLATES[event]) {
+    throw new Error(`Unknown event "${event}", expected one of ${Object.keys(DEFAULT_TEMPLATES).join(', ')}`);
+  }
+  const channels = config.notifications.channels.filter(candidate => !channel || candidate.name === channel);
+  if (channels.length === 0) {
+    throw new Error(channel ? `Unknown notification channel "${channel}"` : 'No notification channels configured');
+  }
+  const now = new Date().toISOString();
+  const vars = event === 'digest'
+    ? { since: now, until: now, total: 1, summary: 'test-account: 1\n  2024-01-01 Test payee 1000 CLP', accounts: 'test-account' }
+    : { account: 'test-account', error: 'Test notification', failures: 3, since: now };
+  return deliver(channels, [{ event, vars }], { force: true });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  notifySyncResult,
+  buildDigest,
+  sendDigest,
+  sendTestNotification
+};
@@ -0,0 +1,179 @@
+/**
+ * Payee normalisation for noisy bank descriptions
+ *
+ * Chilean bank descriptions carry card prefixes, terminal numbers, RUTs and
+ * city/country suffixes around the merchant name, e.g.
+ * "COMPRA NAC 1234 UBER *TRIP SANTIAGO CL" or "TEF A 12.345.678-9 JUAN PEREZ".
+ * normalizePayee() strips that noise so the same merchant always yields the
+ * same payee, which is also used as the categorisation memory key.
+ */
+
+// Operation prefixes added by banks in front of the merchant name.  Each one
+// must be followed by more text, and is only stripped when that text still
+// names someone (see hasName()).
+const PREFIX_PATTERNS = [
+  /^(compra|cpra)\s+(nac|nacional|int|internacional|web)\b\.?\s+/i,
+  /^(pago|compra|cargo)\s+(con\s+)?(tarjeta(\s+(de\s+)?(debito|credito))?|tdc|tdd|redcompra|debito|credito)\s+/i,
+  /^redcompra\s+/i,
+  /^(tef|traspaso|transf|transferencia)\s+((a|de|desde|para)\s+)?(terceros?\s+)?(otro\s+banco\s+)?/i
+];
+
+// Words that describe the operation or account rather than the counterparty
+const GENERIC_WORDS = new Set([
+  'a', 'de', 'del', 'en', 'por', 'tarjeta', 'credito', 'debito', 'tdc', 'tdd', 'linea',
+  'cuenta', 'corriente', 'cta', 'cte', 'vista', 'ahorro', 'banco', 'otro', 'terceros', 'tercero'
+]);
+
+// Chilean RUT, with or without thousands separators
+const RUT_PATTERN = /\b\d{1,2}\.?\d{3}\.?\d{3}-?[\dkK]\b/g;
+
+// Terminal, card and reference numbers
+const NUMBER_PATTERNS = [
+  /#\s*\d+/g,
+  /\b\d{3,}\b/g
+];
+
+// Country codes appended at the end of card descriptions
+const COUNTRY_SUFFIX = /\s+(cl|chl|chile)$/i;
+
+const DEFAULT_CITIES = [
+  'santiago',
+  'providencia',
+  'las condes',
+  'vitacura',
+  'nunoa',
+  'ñuñoa',
+  'la florida',
+  'maipu',
+  'vina del mar',
+  'valparaiso',
+  'concepcion'
+];
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether text still names a merchant or person once RUTs, numbers and
+ * generic banking words are left out
+ * @param {string} text Description, or what is left of it
+ * @returns {boolean} True if at least two letters of a name remain
+ */
+function hasName(text) {
+  const words = text
+    .replace(RUT_PATTERN, ' ')
+    .toLowerCase()
+    .split(/[^a-zñáéíóúü&]+/)
+    .filter(word => word && !GENERIC_WORDS.has(word));
+  return words.join('').length >= 2;
+}
+
+/**
+ * Strip the first operation prefix that leaves a name behind
+ * @param {string} description Trimmed raw description
+ * @returns {string} Description without its prefix, or unchanged
+ */
+function stripPrefix(description) {
+  for (const pattern of PREFIX_PATTERNS) {
+    const rest = description.replace(pattern, '');
+    if (rest !== description && hasName(rest)) {
+      return rest;
+    }
+  }
+  return description;
+}
+
+/**
+ * Find the alias configured for a payee
+ * @param {Object<string, string>} aliases Case-insensitive substring -> payee name
+ * @param {string[]} candidates Strings to test, in order
+ * @returns {string|null} Alias or null if none applies
+ */
+function findAlias(aliases, candidates) {
+  for (const [match, alias] of Object.entries(aliases)) {
+    const lowerMatch = match.toLowerCase();
+    if (candidates.some(candidate => candidate.toLowerCase().includes(lowerMatch))) {
+      return alias;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalise a raw bank description into a clean payee name
+ * @param {string} description Raw description from Fintoc
+ * @param {Object} [options] Normalisation settings from loadConfig()
+ * @param {boolean} [options.enabled] Set to false to only apply aliases
+ * @param {string[]} [options.stripPatterns] Extra case-insensitive regexes to remove
+ * @param {string[]} [options.cities] City names stripped from the end of descriptions
+ * @param {Object<string, string>} [options.aliases] Substring -> payee name overrides
+ * @returns {string} Normalised payee
+ */
+function normalizePayee(description, options = {}) {
+  if (!description) return description;
+  const raw = description.trim();
+  const { enabled = true, stripPatterns = [], cities = DEFAULT_CITIES, aliases = {} } = options;
+
+  if (!enabled) {
+    return findAlias(aliases, [raw]) || raw;
+  }
+
+  let payee = stripPrefix(raw);
+  payee = payee.replace(RUT_PATTERN, ' ');
+  for (const pattern of NUMBER_PATTERNS) {
+    payee = payee.replace(pattern, ' ');
+  }
+  for (const pattern of stripPatterns) {
+    payee = payee.replace(new RegExp(pattern, 'gi'), ' ');
+  }
+  payee = payee.replace(/\s+/g, ' ').trim();
+
+  payee = payee.replace(COUNTRY_SUFFIX, '');
+  if (cities.length > 0) {
+    const cityPattern = new RegExp(`\\s+(${cities.map(escapeRegExp).join('|')})$`, 'i');
+    payee = payee.replace(cityPattern, '');
+  }
+
+  // Drop separators left dangling at either end
+  payee = payee.replace(/^[\s*\-.,/:]+|[\s*\-.,/:]+$/g, '').replace(/\s+/g, ' ');
+
+  return findAlias(aliases, [payee, raw]) || (hasName(payee) ? payee : raw);
+}
+
+/**
+ * Build the Lunch Money notes for an inserted transaction.  The original bank
+ * description is kept after a "Fintoc:" marker so it survives payee renames.
+ * @param {string} description Raw description from Fintoc
+ * @param {string|null} extraNotes Notes set by a rule or transfer match
+ * @returns {string} Notes value
+ */
+function buildNotes(description, extraNotes) {
+  return [extraNotes, `Fintoc: ${description}`].filter(Boolean).join(' | ');
+}
+
+/**
+ * Extract the original bank description from notes written by buildNotes().
+ * The description is always last and may itself contain " | ", so it runs to
+ * the end of the notes, less any flag notes older versions of reconcile.js
+ * appended after it.
+ * @param {string|null} notes Lunch Money notes
+ * @returns {string|null} Original description or null if not present
+ */
+function descriptionFromNotes(notes) {
+  if (!notes) return null;
+  const match = notes.match(/(?:^|\| )Fintoc: ([\s\S]*)$/);
+  return match ? match[1].replace(/(?: \| (?:Fintoc changed .*|Movement no longer present in Fintoc))+$/, '') : null;
+}
+
+module.exports = {
+  DEFAULT_CITIES,
+  normalizePayee,
+  buildNotes,
+  descriptionFromNotes
+};
@@ -0,0 +1,214 @@
+const chalk = require('chalk');
+const { updateTransaction, deleteTransaction, isDeleteUnsupported } = require('./fetchLM');
+const { formatAmount } = require('./currency');
+const { buildNotes, descriptionFromNotes } = require('./payee');
+const { withRetry, shouldRetryHttpError } = require('./utils');
+
+const RECONCILE_MODES = ['update', 'flag', 'ignore'];
+
+// Tags added in `flag` mode
+const CHANGED_TAG = 'fintoc-changed';
+const REMOVED_TAG = 'fintoc-removed';
+
+/**
+ * Compare Fintoc movements with the Lunch Money rows previously inserted for
+ * them, keyed on external_id.
+ *
+ * Descriptions are compared against the original bank description kept in
+ * the row's notes (see buildNotes()), so payees renamed by a rule, by payee
+ * normalisation or by the user are not reported as changes.
+ * Missing movements are only detected when the rows belong to an asset no
+ * other account writes to, otherwise rows of unrelated accounts could be
+ * reported.
+ *
+ * @param {Array<Object>} movements Movements returned by fetchFintocTransactions()
+ * @param {Array<Object>} existing Transactions returned by fetchTransactions()
+ * @param {Object} options
+ * @param {string} options.currency Default currency for amount comparison
+ * @param {boolean} options.detectMissing Whether to report rows whose movement disappeared
+ * @param {Array<string>} [options.ignoreIds] IDs of movements Fintoc returned
+ *   but that could not be read; their rows are never reported as missing
+ * @returns {{changed: Array<Object>, missing: Array<Object>}}
+ */
+function findChanges(movements, existing, { currency, detectMissing, ignoreIds = [] }) {
+  const movementsById = new Map();
+  for (const movement of movements) {
+    if (movement.id) {
+      movementsById.set(String(movement.id), movement);
+    }
+  }
+
+  const ignored = new Set(ignoreIds.map(String));
+  const changed = [];
+  const missing = [];
+
+  for (const tx of existing) {
+    if (!tx.external_id) continue;
+
+    const movement = movementsById.get(String(tx.external_id));
+    if (!movement) {
+      if (detectMissing && !ignored.has(String(tx.external_id))) {
+        missing.push(tx);
+      }
+      continue;
+    }
+
+    const movementCurrency = movement.currency || currency;
+    const diff = {};
+    if (tx.date !== movement.date) {
+      diff.date = { from: tx.date, to: movement.date };
+    }
+    const fromAmount = formatAmount(tx.amount, movementCurrency);
+    const toAmount = formatAmount(movement.amount, movementCurrency);
+    if (fromAmount !== toAmount) {
+      diff.amount = { from: fromAmount, to: toAmount };
+    }
+    const sourceDescription = descriptionFromNotes(tx.notes) || tx.original_name || tx.payee;
+    const description = movement.description || movement.payee;
+    if (sourceDescription !== description) {
+      diff.description = { from: sourceDescription, to: description };
+    }
+
+    if (Object.keys(diff).length > 0) {
+      changed.push({ transaction: tx, movement, diff });
+    }
+  }
+
+  return { changed, missing };
+}
+
+/**
+ * Render a diff as a single human readable line
+ * @param {Object} diff Field -> {from, to} map
+ * @returns {string} Description of the changes
+ */
+function describeDiff(diff) {
+  return Object.entries(diff)
+    .map(([field, { from, to }]) => `${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`)
+    .join('; ');
+}
+
+/**
+ * Replace the original bank description kept in a row's notes
+ * @param {string|null} notes Current Lunch Money notes
+ * @param {string} description New bank description
+ * @returns {string} Updated notes
+ */
+function replaceDescription(notes, description) {
+  const previous = descriptionFromNotes(notes);
+  if (previous === null) {
+    return buildNotes(description, notes);
+  }
+  return notes.replace(`Fintoc: ${previous}`, `Fintoc: ${description}`);
+}
+
+/**
+ * Add a tag and a note to a transaction without touching its other fields.
+ * The note goes first, keeping the bank description at the end where
+ * descriptionFromNotes() expects it.
+ * @param {Object} tx Transaction returned by fetchTransactions()
+ * @param {string} tag Tag to add
+ * @param {string} note Note to add
+ * @returns {Object} Fields for updateTransaction()
+ */
+function flagFields(tx, tag, note) {
+  const tags = tx.tags.includes(tag) ? tx.tags : [...tx.tags, tag];
+  const notes = tx.notes ? `${note} | ${tx.notes}` : note;
+  return { tags, notes };
+}
+
+/**
+ * Reconcile Lunch Money rows with their source Fintoc movements.
+ *
+ * In `update` mode changed rows are rewritten and rows whose movement
+ * disappeared from Fintoc are deleted, or flagged if the API refuses to
+ * delete them.  In `flag` mode both are only tagged and annotated for
+ * manual review.  `ignore` does nothing.
+ *
+ * @param {Object} options
+ * @param {string} options.token Lunch Money API token
+ * @param {string} options.mode One of RECONCILE_MODES
+ * @param {Array<Object>} options.movements Movements returned by fetchFintocTransactions()
+ * @param {Array<Object>} options.existing Transactions returned by fetchTransactions()
+ * @param {string} options.currency Default currency of the account
+ * @param {boolean} options.detectMissing Whether rows without a movement may be removed or flagged
+ * @param {Array<string>} [options.ignoreIds] See findChanges()
+ * @param {boolean} options.dryRun If true, only print the diff
+ * @returns {Promise<Object>} Counts of updated, flagged and deleted rows plus errors
+ */
+async function reconcile({ token, mode, movements, existing, currency, detectMissing, ignoreIds = [], dryRun = false }) {
+  const result = { updated: 0, flagged: 0, deleted: 0, changes: [], errors: [] };
+  if (mode === 'ignore') {
+    return result;
+  }
+
+  let { changed, missing } = findChanges(movements, existing, { currency, detectMissing, ignoreIds });
+  if (mode === 'flag') {
+    // Rows flagged on a previous run are left alone until the user reviews them
+    changed = changed.filter(({ transaction }) => !transaction.tags.includes(CHANGED_TAG));
+    missing = missing.filter(tx => !tx.tags.includes(REMOVED_TAG));
+  }
+  if (changed.length === 0 && missing.length === 0) {
+    return result;
+  }
+
+  console.log(chalk.blue(`Reconciliation (${mode}): ${changed.length} changed, ${missing.length} no longer in Fintoc`));
+
+  for (const { transaction: tx, movement, diff } of changed) {
+    result.changes.push({ id: tx.id, external_id: tx.external_id, type: 'changed', diff });
+    console.log(chalk.cyan(`  ~ ${tx.date} ${tx.external_id} ${describeDiff(diff)}`));
+    if (dryRun) continue;
+
+    const fields = mode === 'update'
+      ? {
+        ...(diff.date ? { date: movement.date } : {}),
+        ...(diff.amount ? { amount: diff.amount.to } : {}),
+        ...(diff.description
+          ? { payee: movement.payee, notes: replaceDescription(tx.notes, movement.description || movement.payee) }
+          : {})
+      }
+      : flagFields(tx, CHANGED_TAG, `Fintoc changed ${describeDiff(diff)}`);
+    try {
+      await withRetry(() => updateTransaction(token, tx.id, fields), 3, 1000, shouldRetryHttpError);
+      result[mode === 'update' ? 'updated' : 'flagged']++;
+    } catch (err) {
+      result.errors.push({ id: tx.id, external_id: tx.external_id, error: err.message });
+      console.error(chalk.red(`  ✗ Failed to reconcile ${tx.external_id}: ${err.message}`));
+    }
+  }
+
+  let canDelete = mode === 'update';
+  for (const tx of missing) {
+    result.changes.push({ id: tx.id, external_id: tx.external_id, type: 'missing' });
+    console.log(chalk.magenta(`  - ${tx.date} ${tx.external_id} ${tx.amount} ${tx.payee} (no longer in Fintoc)`));
+    if (dryRun) continue;
+
+    try {
+      if (canDelete) {
+        try {
+          await withRetry(() => deleteTransaction(token, tx.id), 3, 1000, shouldRetryHttpError);
+          result.deleted++;
+          continue;
+        } catch (err) {
+          if (!isDeleteUnsupported(err)) throw err;
+          console.warn(chalk.yellow(`  Lunch Money refused to delete a transaction (${err.message}); flagging missing rows with ${REMOVED_TAG} instead`));
+          canDelete = false;
+        }
+      }
+      const fields = flagFields(tx, REMOVED_TAG, 'Movement no longer present in Fintoc');
+      await withRetry(() => updateTransaction(token, tx.id, fields), 3, 1000, shouldRetryHttpError);
+      result.flagged++;
+    } catch (err) {
+      result.errors.push({ id: tx.id, external_id: tx.external_id, error: err.message });
+      console.error(chalk.red(`  ✗ Failed to reconcile ${tx.external_id}: ${err.message}`));
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  RECONCILE_MODES,
+  findChanges,
+  reconcile
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, loadMemory, saveMemory, recordCategory } = require('./memory');
+const { getCategoryId } = require('./categorize');
+const { updateTransaction } = require('./fetchLM');
+const { withRetry, shouldRetryHttpError } = require('./utils');
+
+const QUEUE_FILE = path.join(DATA_DIR, 'review_queue.json');
+
+/**
+ * Load the review queue from persistent storage
+ * @returns {{items: Array<Object>}} Queue object
+ */
+function loadReviewQueue() {
+  try {
+    if (fs.existsSync(QUEUE_FILE)) {
+      const queue = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+      return { items: [], ...queue };
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load review queue:', error.message);
+  }
+  return { items: [] };
+}
+
+/**
+ * Save the review queue to persistent storage
+ * @param {{items: Array<Object>}} queue Queue object to save
+ */
+function saveReviewQueue(queue) {
+  try {
+    fs.writeFileSync(QUEUE_FILE, JSON.stringify(queue, null, 2));
+  } catch (error) {
+    console.error('Error saving review queue:', error.message);
+  }
+}
+
+/**
+ * Add inserted transactions awaiting a category decision.  Transactions
+ * already queued (same Lunch Money ID) are ignored.
+ * @param {Array<Object>} entries Items with lunchmoneyId, account, date, amount,
+ *   payee, memoryKey, categoryName and candidates
+ * @returns {number} Number of items added
+ */
+function addReviewItems(entries) {
+  if (entries.length === 0) return 0;
+  const queue = loadReviewQueue();
+  const known = new Set(queue.items.map(item => item.lunchmoneyId));
+  let added = 0;
+  for (const entry of entries) {
+    if (known.has(entry.lunchmoneyId)) continue;
+    queue.items.push({
+      id: crypto.randomBytes(6).toString('hex'),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      ...entry
+    });
+    added++;
+  }
+  saveReviewQueue(queue);
+  return added;
+}
+
+/**
+ * List review items
+ * @param {Object} [options]
+ * @param {string} [options.status] Only items with this status ('pending', 'resolved', 'skipped')
+ * @returns {Array<Object>} Matching items, oldest first
+ */
+function listReviewItems({ status = 'pending' } = {}) {
+  return loadReviewQueue().items.filter(item => !status || item.status === status);
+}
+
+/**
+ * Find a review item by ID
+ * @param {{items: Array<Object>}} queue Queue object
+ * @param {string} id Review item ID
+ * @returns {Object} Item
+ */
+function findItem(queue, id) {
+  const item = queue.items.find(candidate => candidate.id === id);
+  if (!item) {
+    throw new Error(`Review item "${id}" not found`);
+  }
+  return item;
+}
+
+/**
+ * Resolve a review item: set the category on the Lunch Money transaction and
+ * record it in memory as a manual choice, then mark the item resolved.
+ * @param {Object} options
+ * @param {string} options.token Lunch Money API token
+ * @param {string} options.id Review item ID
+ * @param {string} options.category Category name chosen by the user
+ * @returns {Promise<Object>} Resolved item
+ */
+async function resolveReviewItem({ token, id, category }) {
+  const queue = loadReviewQueue();
+  const item = findItem(queue, id);
+
+  const categoryId = await getCategoryId(token, category);
+  if (!categoryId) {
+    throw new Error(`Category "${category}" not found in Lunch Money`);
+  }
+
+  await withRetry(
+    () => updateTransaction(token, item.lunchmoneyId, { category_id: categoryId }),
+    3,
+    1000,
+    shouldRetryHttpError
+  );
+
+  if (item.memoryKey) {
+    const memory = loadMemory();
+    recordCategory(memory, item.memoryKey, category, { source: 'manual', date: item.date });
+    saveMemory(memory);
+  }
+
+  item.status = 'resolved';
+  item.resolvedCategory = category;
+  item.resolvedAt = new Date().toISOString();
+  saveReviewQueue(queue);
+  return item;
+}
+
+/**
+ * Skip a review item, leaving the Lunch Money transaction as it is
+ * @param {string} id Review item ID
+ * @returns {Object} Skipped item
+ */
+function skipReviewItem(id) {
+  const queue = loadReviewQueue();
+  const item = findItem(queue, id);
+  item.status = 'skipped';
+  item.resolvedAt = new Date().toISOString();
+  saveReviewQueue(queue);
+  return item;
+}
+
+/**
+ * Remove pending review items for transactions that no longer exist in
+ * Lunch Money, e.g. after a rollback
+ * @param {Array<number>} lunchmoneyIds Deleted Lunch Money transaction IDs
+ * @returns {number} Number of items removed
+ */
+function removeReviewItems(lunchmoneyIds) {
+  if (lunchmoneyIds.length === 0) return 0;
+  const ids = new Set(lunchmoneyIds);
+  const queue = loadReviewQueue();
+  const before = queue.items.length;
+  queue.items = queue.items.filter(item => item.status !== 'pending' || !ids.has(item.lunchmoneyId));
+  if (queue.items.length !== before) {
+    saveReviewQueue(queue);
+  }
+  return before - queue.items.length;
+}
+
+module.exports = {
+  loadReviewQueue,
+  addReviewItems,
+  listReviewItems,
+  resolveReviewItem,
+  skipReviewItem,
+  removeReviewItems
+};
@@ -0,0 +1,145 @@
+const chalk = require('chalk');
+const { getTransaction, updateTransaction, deleteTransaction, isDeleteUnsupported } = require('./fetchLM');
+const { getRun, updateRun } = require('./runJournal');
+const { removeReviewItems } = require('./reviewQueue');
+const { withRetry, shouldRetryHttpError } = require('./utils');
+
+// Tag of rows that could not be deleted, for deleting them in Lunch Money
+const ROLLED_BACK_TAG = 'fintoc-rolled-back';
+
+/**
+ * Fields of an inserted transaction that differ from its current state in
+ * Lunch Money, i.e. what the user (or a later review/reconciliation) changed
+ * @param {Object} inserted Row as recorded at insertion time
+ * @param {Object} current Row from getTransaction()
+ * @returns {string[]} Names of changed fields
+ */
+function changedFields(inserted, current) {
+  const changed = [];
+  if (current.date !== inserted.date) changed.push('date');
+  if (Math.abs(current.amount - parseFloat(inserted.amount)) > 1e-6) changed.push('amount');
+  if (current.payee !== inserted.payee) changed.push('payee');
+  if ((current.category_id || null) !== (inserted.category_id || null)) changed.push('category_id');
+  if ((current.notes || null) !== (inserted.notes || null)) changed.push('notes');
+  return changed;
+}
+
+/**
+ * Delete the Lunch Money transactions inserted by a sync run.  Transactions
+ * edited since they were inserted are left alone, as are those already gone.
+ * If the API refuses to delete transactions, the rest are tagged with
+ * ROLLED_BACK_TAG instead.  Pending review items of deleted and tagged
+ * transactions are dropped.
+ * @param {Object} options
+ * @param {string} options.token Lunch Money API token
+ * @param {string} options.runId Journal run ID
+ * @param {boolean} [options.dryRun] Only report what would be deleted
+ * @returns {Promise<{runId: string, dryRun: boolean, deleted: Array<Object>, flagged: Array<Object>, skipped: Array<Object>, missing: Array<Object>, errors: Array<Object>}>}
+ *   Outcome per inserted transaction
+ */
+async function rollbackRun({ token, runId, dryRun = false }) {
+  const run = getRun(runId);
+  if (!run) {
+    throw new Error(`Run "${runId}" not found`);
+  }
+  if (run.dryRun) {
+    throw new Error(`Run "${runId}" was a dry run and inserted nothing`);
+  }
+
+  const report = { runId, dryRun, deleted: [], flagged: [], skipped: [], missing: [], errors: [] };
+  let canDelete = true;
+
+  for (const account of run.accounts) {
+    for (const inserted of account.insertedTransactions || []) {
+      const item = {
+        account: account.account,
+        lunchmoneyId: inserted.lunchmoneyId,
+        external_id: inserted.external_id,
+        date: inserted.date,
+        amount: inserted.amount,
+        payee: inserted.payee
+      };
+      try {
+        const current = await withRetry(
+          () => getTransaction(token, inserted.lunchmoneyId),
+          3,
+          1000,
+          shouldRetryHttpError
+        );
+        if (!current) {
+          report.missing.push(item);
+          continue;
+        }
+        if (current.tags.includes(ROLLED_BACK_TAG)) {
+          report.flagged.push(item);
+          continue;
+        }
+
+        const changed = changedFields(inserted, current);
+        if (changed.length > 0) {
+          report.skipped.push({ ...item, changed });
+          console.log(chalk.yellow(`Skipped edited transaction ${item.date} ${item.amount} ${item.payee} (${changed.join(', ')} changed)`));
+          continue;
+        }
+
+        if (!dryRun && canDelete) {
+          try {
+            await withRetry(
+              () => deleteTransaction(token, inserted.lunchmoneyId),
+              3,
+              1000,
+              shouldRetryHttpError
+            );
+          } catch (err) {
+            if (!isDeleteUnsupported(err)) throw err;
+            console.warn(chalk.yellow(`Lunch Money refused to delete a transaction (${err.message}); tagging the rest with ${ROLLED_BACK_TAG} instead`));
+            canDelete = false;
+          }
+        }
+        if (!dryRun && !canDelete) {
+          await withRetry(
+            () => updateTransaction(token, inserted.lunchmoneyId, {
+              tags: [...current.tags, ROLLED_BACK_TAG],
+              notes: current.notes ? `Rolled back sync run ${runId} | ${current.notes}` : `Rolled back sync run ${runId}`
+            }),
+            3,
+            1000,
+            shouldRetryHttpError
+          );
+          report.flagged.push(item);
+          console.log(chalk.yellow(`Tagged ${item.date} ${item.amount} ${item.payee} with ${ROLLED_BACK_TAG}`));
+          continue;
+        }
+        report.deleted.push(item);
+        console.log(chalk.green(`${dryRun ? 'Would delete' : 'Deleted'} ${item.date} ${item.amount} ${item.payee}`));
+      } catch (err) {
+        report.errors.push({ ...item, error: err.message });
+        console.error(chalk.red(`Error rolling back ${item.date} ${item.payee}: ${err.message}`));
+      }
+    }
+  }
+
+  if (!dryRun) {
+    removeReviewItems([...report.deleted, ...report.flagged].map(item => item.lunchmoneyId));
+    updateRun(runId, entry => {
+      entry.rolledBackAt = new Date().toISOString();
+      entry.rollbacks = [
+        ...(entry.rollbacks || []),
+        {
+          at: entry.rolledBackAt,
+          deleted: report.deleted.map(item => item.lunchmoneyId),
+          flagged: report.flagged.map(item => item.lunchmoneyId),
+          skipped: report.skipped.map(item => item.lunchmoneyId),
+          missing: report.missing.map(item => item.lunchmoneyId),
+          errors: report.errors.length
+        }
+      ];
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  rollbackRun
+};
@@ -0,0 +1,176 @@
+/**
+ * Category rules from config.json
+ *
+ * `category_rules` accepts either the simple map of payee substring to
+ * category name, or an array of structured rules:
+ *
+ *   {
+ *     "name": "Weekend Uber",
+ *     "priority": 10,
+ *     "match": {
+ *       "payee_contains": "uber",
+ *       "payee_regex": "^uber\\s*\\*trip",
+ *       "amount_min": 1000,
+ *       "amount_max": 50000,
+ *       "direction": "debit",
+ *       "account": "Checking",
+ *       "days_of_week": ["sat", "sun"]
+ *     },
+ *     "category": "Transport",
+ *     "tags": ["uber"],
+ *     "notes": "Ride",
+ *     "payee": "Uber"
+ *   }
+ *
+ * Every condition present must hold.  Rules are tried by descending priority,
+ * ties keep their order in config.json, and the first match wins.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Normalised rules keyed by the config object they came from
+const normalizedCache = new WeakMap();
+
+/**
+ * Convert a day-of-week entry ("mon", "Monday", 1) to its 0-6 index
+ * @param {string|number} day Day name or index (0 = Sunday)
+ * @returns {number|null} Day index or null if invalid
+ */
+function toDayIndex(day) {
+  if (typeof day === 'number') {
+    return day >= 0 && day <= 6 ? day : null;
+  }
+  const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+  return index === -1 ? null : index;
+}
+
+/**
+ * Normalise a single structured rule, compiling its regex
+ * @param {Object} rule Raw rule from config.json
+ * @param {number} index Position of the rule, used for default names and ordering
+ * @returns {Object|null} Normalised rule or null if it is invalid
+ */
+function normalizeRule(rule, index) {
+  const match = rule.match || {};
+  const name = rule.name || `rule #${index + 1}`;
+  let regex = null;
+  if (match.payee_regex) {
+    try {
+      regex = new RegExp(match.payee_regex, 'i');
+    } catch (err) {
+      console.warn(`Warning: category rule "${name}" has an invalid regex and was skipped: ${err.message}`);
+      return null;
+    }
+  }
+  if (match.direction && !['debit', 'credit'].includes(match.direction)) {
+    console.warn(`Warning: category rule "${name}" has an invalid direction "${match.direction}" and was skipped`);
+    return null;
+  }
+  return {
+    name,
+    index,
+    priority: typeof rule.priority === 'number' ? rule.priority : 0,
+    contains: match.payee_contains ? String(match.payee_contains).toLowerCase() : null,
+    regex,
+    amountMin: typeof match.amount_min === 'number' ? match.amount_min : null,
+    amountMax: typeof match.amount_max === 'number' ? match.amount_max : null,
+    direction: match.direction || null,
+    account: match.account || null,
+    daysOfWeek: Array.isArray(match.days_of_week)
+      ? match.days_of_week.map(toDayIndex).filter(day => day !== null)
+      : null,
+    category: rule.category || null,
+    tags: Array.isArray(rule.tags) ? rule.tags : [],
+    notes: rule.notes || null,
+    payee: rule.payee || null
+  };
+}
+
+/**
+ * Normalise `category_rules` from config.json into a priority-ordered list.
+ * The simple map form becomes one `payee_contains` rule per entry.
+ * @param {Object|Array} categoryRules Rules as found in config.json
+ * @returns {Array<Object>} Normalised rules, highest priority first
+ */
+function normalizeRules(categoryRules) {
+  if (!categoryRules || typeof categoryRules !== 'object') {
+    return [];
+  }
+  if (normalizedCache.has(categoryRules)) {
+    return normalizedCache.get(categoryRules);
+  }
+
+  const rawRules = Array.isArray(categoryRules)
+    ? categoryRules
+    : Object.entries(categoryRules).map(([contains, category]) => ({
+      name: contains,
+      match: { payee_contains: contains },
+      category
+    }));
+
+  const rules = rawRules
+    .map((rule, index) => normalizeRule(rule, index))
+    .filter(Boolean)
+    .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+  normalizedCache.set(categoryRules, rules);
+  return rules;
+}
+
+/**
+ * Check whether a rule applies to a transaction
+ * @param {Object} rule Normalised rule
+ * @param {Object} tx Transaction context
+ * @param {string} tx.payee Sanitized payee
+ * @param {number} [tx.amount] Signed amount, negative for debits
+ * @param {string} [tx.date] ISO date (YYYY-MM-DD)
+ * @param {string} [tx.account] Configured account name
+ * @returns {boolean} True if every condition of the rule holds
+ */
+function ruleMatches(rule, tx) {
+  const lowerPayee = tx.payee.toLowerCase();
+  if (rule.contains && !lowerPayee.includes(rule.contains)) return false;
+  if (rule.regex && !rule.regex.test(tx.payee)) return false;
+
+  const hasAmount = typeof tx.amount === 'number';
+  if ((rule.amountMin !== null || rule.amountMax !== null || rule.direction) && !hasAmount) {
+    return false;
+  }
+  if (hasAmount) {
+    const absAmount = Math.abs(tx.amount);
+    if (rule.amountMin !== null && absAmount < rule.amountMin) return false;
+    if (rule.amountMax !== null && absAmount > rule.amountMax) return false;
+    if (rule.direction === 'debit' && tx.amount >= 0) return false;
+    if (rule.direction === 'credit' && tx.amount <= 0) return false;
+  }
+
+  if (rule.account && rule.account !== tx.account) return false;
+
+  if (rule.daysOfWeek) {
+    if (!tx.date) return false;
+    const day = new Date(`${tx.date.slice(0, 10)}T00:00:00Z`).getUTCDay();
+    if (!rule.daysOfWeek.includes(day)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the highest-priority rule matching a transaction
+ * @param {Object|Array} categoryRules Rules as found in config.json
+ * @param {Object} tx Transaction context, see ruleMatches()
+ * @returns {Object|null} Matching normalised rule or null
+ */
+function findMatchingRule(categoryRules, tx) {
+  for (const rule of normalizeRules(categoryRules)) {
+    if (ruleMatches(rule, tx)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeRules,
+  findMatchingRule
+};
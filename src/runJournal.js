@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./memory');
+
+const JOURNAL_FILE = path.join(DATA_DIR, 'sync_runs.json');
+// Oldest runs are dropped beyond this many entries
+const MAX_RUNS = 500;
+
+/**
+ * Load the sync run journal from persistent storage
+ * @returns {{runs: Array<Object>}} Journal with runs, oldest first
+ */
+function loadRunJournal() {
+  try {
+    if (fs.existsSync(JOURNAL_FILE)) {
+      const journal = JSON.parse(fs.readFileSync(JOURNAL_FILE, 'utf8'));
+      return { runs: [], ...journal };
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load sync run journal:', error.message);
+  }
+  return { runs: [] };
+}
+
+/**
+ * Save the sync run journal to persistent storage
+ * @param {{runs: Array<Object>}} journal Journal to save
+ */
+function saveRunJournal(journal) {
+  try {
+    fs.writeFileSync(JOURNAL_FILE, JSON.stringify(journal, null, 2));
+  } catch (error) {
+    console.error('Error saving sync run journal:', error.message);
+  }
+}
+
+/**
+ * Per-account journal details from a syncAccount() result
+ * @param {Object} result Account result as found in sync().accounts
+ * @returns {Object} Journal entry for the account
+ */
+function summarizeAccountRun(result) {
+  const errorMessages = [
+    ...(result.error ? [result.error] : []),
+    ...(result.processingErrors || []).map(({ transaction, error }) =>
+      `${transaction.date} ${transaction.payee}: ${error}`),
+    ...(result.insertionErrors || []).map(({ batchIndex, error }) => `batch ${batchIndex + 1}: ${error}`)
+  ];
+  return {
+    account: result.account,
+    success: result.success,
+    processed: result.processed,
+    inserted: result.inserted,
+    skipped: result.skipped,
+    errors: result.errors,
+    invalidMovements: result.invalidMovements || 0,
+    duplicates: result.duplicates || {},
+    insertedExternalIds: result.insertedExternalIds || [],
+    insertedTransactions: result.insertedTransactions || [],
+    errorMessages
+  };
+}
+
+/**
+ * Append a finished sync run to the journal
+ * @param {Object} options
+ * @param {string} options.trigger What started the run ('cli', 'cron', 'manual', 'backfill' or 'webhook')
+ * @param {string} options.startedAt ISO timestamp of the start of the run
+ * @param {boolean} options.dryRun Whether the run was a dry run
+ * @param {boolean} options.incremental Whether the run was incremental
+ * @param {{since: string, until: string}|null} [options.range] Explicit date range of a backfill chunk
+ * @param {Object} options.result Result returned by sync()
+ * @returns {Object} Journal entry, including its generated `id`
+ */
+function recordRun({ trigger, startedAt, dryRun, incremental, range = null, result }) {
+  const finishedAt = new Date().toISOString();
+  const run = {
+    id: crypto.randomBytes(6).toString('hex'),
+    trigger,
+    dryRun: Boolean(dryRun),
+    incremental: Boolean(incremental),
+    ...(range ? { range } : {}),
+    startedAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+    success: result.success,
+    processed: result.processed,
+    inserted: result.inserted,
+    skipped: result.skipped,
+    errors: result.errors,
+    accounts: result.accounts.map(summarizeAccountRun)
+  };
+
+  const journal = loadRunJournal();
+  journal.runs.push(run);
+  if (journal.runs.length > MAX_RUNS) {
+    journal.runs = journal.runs.slice(-MAX_RUNS);
+  }
+  saveRunJournal(journal);
+  return run;
+}
+
+/**
+ * List journal runs without their per-transaction details
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of runs
+ * @param {number} [options.offset] Number of most recent runs to skip
+ * @returns {{total: number, runs: Array<Object>}} Runs, newest first
+ */
+function listRuns({ limit = 20, offset = 0 } = {}) {
+  const runs = loadRunJournal().runs.slice().reverse();
+  return {
+    total: runs.length,
+    runs: runs.slice(offset, offset + limit).map(({ accounts, rollbacks, ...run }) => ({
+      ...run,
+      accounts: accounts.map(({ account, success, inserted, skipped, errors }) => ({
+        account,
+        success,
+        inserted,
+        skipped,
+        errors
+      }))
+    }))
+  };
+}
+
+/**
+ * Find a journal run by ID
+ * @param {string} id Run ID
+ * @returns {Object|null} Run or null if not found
+ */
+function getRun(id) {
+  return loadRunJournal().runs.find(run => run.id === id) || null;
+}
+
+/**
+ * Update a journal run in place
+ * @param {string} id Run ID
+ * @param {function(Object): void} update Called with the run to modify it
+ * @returns {Object|null} Updated run or null if not found
+ */
+function updateRun(id, update) {
+  const journal = loadRunJournal();
+  const run = journal.runs.find(candidate => candidate.id === id);
+  if (!run) return null;
+  update(run);
+  saveRunJournal(journal);
+  return run;
+}
+
+module.exports = {
+  loadRunJournal,
+  recordRun,
+  updateRun,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,275 @@
+const cron = require('node-cron');
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Seconds, minutes, hours, day of month, month and weekday
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+// Formatters are costly to create and next run times need many lookups
+const formatters = new Map();
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @param {Date|number} date Instant
+ * @param {string} timezone IANA timezone, e.g. "America/Santiago"
+ * @returns {{month: number, day: number, weekday: number, hour: number, minute: number}} Local time
+ */
+function zonedTime(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+/**
+ * Whether a timezone name is known to the runtime
+ * @param {string} timezone IANA timezone
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Whether an instant falls in a job's quiet hours.  Quiet hours may wrap
+ * past midnight ("23:00" to "07:00"); the end is exclusive.
+ * @param {{start: string, end: string}|null} quietHours Quiet hours in the job's timezone
+ * @param {string} timezone IANA timezone
+ * @param {Date} [date] Instant to check
+ * @returns {boolean} True if the job should not run
+ */
+function isQuietTime(quietHours, timezone, date = new Date()) {
+  if (!quietHours) return false;
+  const { hour, minute } = zonedTime(date, timezone);
+  const now = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Read one value of a cron field, accepting month and weekday names in
+ * full or by their first three letters
+ * @param {string} value Number or name
+ * @param {Object} field Entry of FIELDS
+ * @returns {number} Value
+ * @throws {Error} If the value is not a number or known name
+ */
+function parseValue(value, field) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const name = value.toLowerCase();
+  const index = field.names ? field.names.findIndex(full => name === full || name === full.slice(0, 3)) : -1;
+  if (index === -1) {
+    throw new Error(`Invalid cron value "${value}"`);
+  }
+  return index + field.offset;
+}
+
+/**
+ * Expand one cron field into the values it matches.  Like node-cron, a
+ * step keeps the values of its range that are multiples of it ("5-20/10"
+ * is 10 and 20), a reversed range is read low to high and weekday 7 is
+ * Sunday.
+ * @param {string} expression Field, e.g. "*\/15", "1-5" or "jan,jul"
+ * @param {Object} field Entry of FIELDS
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the field cannot be read
+ */
+function parseField(expression, field) {
+  const values = new Set();
+  for (const part of expression.split(',')) {
+    const [range, step, extra] = part.split('/');
+    if (extra !== undefined || (step !== undefined && !/^[1-9]\d*$/.test(step))) {
+      throw new Error(`Invalid cron step "${part}"`);
+    }
+    let first = field.min;
+    let last = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw new Error(`Invalid cron range "${range}"`);
+      }
+      first = parseValue(bounds[0], field);
+      last = bounds.length === 2 ? parseValue(bounds[1], field) : first;
+      if (first > last) {
+        [first, last] = [last, first];
+      }
+    }
+    if (first < field.min || last > field.max) {
+      throw new Error(`Cron value out of range in "${part}"`);
+    }
+    for (let value = first; value <= last; value++) {
+      if (step === undefined || value % Number(step) === 0) {
+        values.add(field === FIELDS[5] && value === 7 ? 0 : value);
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Expand a cron expression into the values each field matches
+ * @param {string} expression node-cron expression (5 or 6 fields; 5 fields run at second 0)
+ * @returns {Set<number>[]} Seconds, minutes, hours, days, months and weekdays
+ * @throws {Error} If the expression cannot be read
+ */
+function parseExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+  if (fields.length !== 6) {
+    throw new Error(`Cron expression needs 5 or 6 fields: "${expression}"`);
+  }
+  return fields.map((value, index) => parseField(value, FIELDS[index]));
+}
+
+/**
+ * Next times a cron expression fires, looking at most a year ahead
+ * @param {string} expression node-cron expression (5 or 6 fields)
+ * @param {string} timezone IANA timezone the expression is read in
+ * @param {Object} [options]
+ * @param {Date} [options.from] Start looking after this instant
+ * @param {number} [options.count] Number of run times to return
+ * @returns {Date[]} Run times, earliest first
+ */
+function nextRunTimes(expression, timezone, { from = new Date(), count = 3 } = {}) {
+  const [seconds, minutes, hours, days, months, weekdays] = parseExpression(expression);
+  const firstSecond = Math.min(...seconds);
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  const runs = [];
+
+  // Walk whole minutes, skipping the rest of any hour that cannot match
+  let time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+  while (runs.length < count && time < limit) {
+    const local = zonedTime(time, timezone);
+    // Like node-cron, day of month and weekday must both match
+    if (!months.has(local.month) || !days.has(local.day) || !weekdays.has(local.weekday) || !hours.has(local.hour)) {
+      time += (60 - local.minute) * 60000;
+    } else {
+      if (minutes.has(local.minute)) {
+        runs.push(new Date(time + firstSecond * 1000));
+      }
+      time += 60000;
+    }
+  }
+  return runs;
+}
+
+/**
+ * List the scheduled jobs described by the config: the global sync, one
+ * sync per account with its own schedule, the memory rebuild and the
+ * notification digest
+ * @param {Object} config Configuration returned by loadConfig()
+ * @returns {Array<{name: string, type: 'sync'|'memory_rebuild'|'digest', accounts: string[]|null, cron: string, timezone: string, quietHours: Object|null, enabled: boolean}>}
+ *   Jobs; `accounts` lists the accounts a sync job covers
+ * @throws {Error} If a cron expression, timezone or quiet hours entry is invalid
+ */
+function buildJobs(config) {
+  const ownSchedule = config.accounts.filter(account => account.schedule);
+  const jobs = [
+    {
+      name: 'sync',
+      type: 'sync',
+      accounts: config.accounts.filter(account => !account.schedule).map(account => account.name),
+      ...config.schedules.sync
+    },
+    ...ownSchedule.map(account => ({
+      name: `sync:${account.name}`,
+      type: 'sync',
+      accounts: [account.name],
+      ...account.schedule
+    })),
+    {
+      name: 'memory_rebuild',
+      type: 'memory_rebuild',
+      accounts: null,
+      ...config.schedules.memoryRebuild
+    },
+    {
+      name: 'digest',
+      type: 'digest',
+      accounts: null,
+      ...config.schedules.digest
+    }
+  ];
+  // Nothing left for the global sync once every account has its own schedule
+  if (jobs[0].accounts.length === 0) {
+    jobs[0].enabled = false;
+  }
+  // The digest only runs for channels that asked for it
+  const digest = jobs[jobs.length - 1];
+  digest.enabled = digest.enabled &&
+    config.notifications.channels.some(channel => channel.triggers.includes('digest'));
+
+  const problems = [];
+  for (const job of jobs) {
+    if (!cron.validate(job.cron)) {
+      problems.push(`${job.name}: invalid cron expression "${job.cron}"`);
+    }
+    if (!isValidTimezone(job.timezone)) {
+      problems.push(`${job.name}: unknown timezone "${job.timezone}"`);
+    }
+    const quiet = job.quietHours;
+    if (quiet && !(typeof quiet.start === 'string' && TIME_PATTERN.test(quiet.start) &&
+      typeof quiet.end === 'string' && TIME_PATTERN.test(quiet.end))) {
+      problems.push(`${job.name}: quiet_hours needs "start" and "end" as HH:MM`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid schedules: ${problems.join('; ')}`);
+  }
+  return jobs;
+}
+
+module.exports = {
+  isQuietTime,
+  parseExpression,
+  nextRunTimes,
+  buildJobs
+};
@@ -0,0 +1,211 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Minimal SMTP client for notification emails: plain text messages, STARTTLS
+ * or implicit TLS, and AUTH PLAIN.  Enough for the usual relays (Gmail,
+ * SES, Postmark, a local Postfix) without another dependency.  Credentials
+ * are only sent over TLS unless the channel opts out with `smtp.insecure`.
+ */
+
+// Give up on an unresponsive server after this long
+const TIMEOUT_MS = 30000;
+
+/**
+ * Open a line-oriented SMTP conversation over a socket
+ * @param {net.Socket|tls.TLSSocket} socket Connected socket
+ * @returns {{read: function(): Promise<{code: number, lines: string[]}>, send: function(string): Promise<{code: number, lines: string[]}>, socket: Object}}
+ */
+function createConversation(socket) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+  const replies = [];
+
+  /**
+   * Hand complete replies to the pending read
+   */
+  function deliver() {
+    while (waiting && replies.length > 0) {
+      const resolve = waiting.resolve;
+      waiting = null;
+      resolve(replies.shift());
+    }
+    if (waiting && failure) {
+      const reject = waiting.reject;
+      waiting = null;
+      reject(failure);
+    }
+  }
+
+  let lines = [];
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    deliver();
+  });
+  socket.on('error', error => {
+    failure = error;
+    deliver();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    deliver();
+  });
+
+  /**
+   * Wait for the next reply
+   * @returns {Promise<{code: number, lines: string[]}>} Reply
+   */
+  function read() {
+    return new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      deliver();
+    });
+  }
+
+  return {
+    socket,
+    read,
+    send(command) {
+      socket.write(`${command}\r\n`);
+      return read();
+    }
+  };
+}
+
+/**
+ * Check an SMTP reply code
+ * @param {{code: number, lines: string[]}} reply Server reply
+ * @param {number} expected Expected code
+ * @param {string} step Command the reply answers, for the error message
+ * @returns {{code: number, lines: string[]}} The reply
+ * @throws {Error} If the code differs, with `code` 'EPROTOCOL' and the reply
+ *   code as `responseCode`
+ */
+function expect(reply, expected, step) {
+  if (reply.code !== expected) {
+    const error = new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    error.code = 'EPROTOCOL';
+    error.responseCode = reply.code;
+    throw error;
+  }
+  return reply;
+}
+
+/**
+ * Connect to an SMTP server
+ * @param {Object} options
+ * @param {string} options.host Server host
+ * @param {number} options.port Server port
+ * @param {boolean} options.secure Use implicit TLS (usually port 465)
+ * @returns {Promise<net.Socket|tls.TLSSocket>} Connected socket
+ */
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Build the message source, with dot-stuffing for the DATA command
+ * @param {Object} message
+ * @param {string} message.from Sender address
+ * @param {string[]} message.to Recipient addresses
+ * @param {string} message.subject Subject line
+ * @param {string} message.text Plain text body
+ * @returns {string} Message ready to send after DATA
+ */
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    // RFC 2047 encoding keeps non-ASCII subjects ("Sincronización") intact
+    `Subject: =?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+/**
+ * Send a plain text email
+ * @param {Object} smtp Server settings
+ * @param {string} smtp.host Server host
+ * @param {number} smtp.port Server port
+ * @param {boolean} [smtp.secure] Use implicit TLS
+ * @param {boolean} [smtp.starttls] Upgrade with STARTTLS when offered (default true)
+ * @param {string|null} [smtp.user] User for AUTH PLAIN
+ * @param {string|null} [smtp.password] Password for AUTH PLAIN
+ * @param {boolean} [smtp.insecure] Allow AUTH over an unencrypted connection
+ * @param {Object} message See buildMessage()
+ * @returns {Promise<void>} Resolves once the server accepted the message
+ * @throws {Error} With `code` 'ENOTLS' if credentials would be sent in plain
+ *   text, before anything is sent
+ */
+async function sendMail(smtp, message) {
+  let conversation = createConversation(await connect(smtp));
+  let encrypted = Boolean(smtp.secure);
+  try {
+    expect(await conversation.read(), 220, 'greeting');
+    let ehlo = expect(await conversation.send(`EHLO ${os.hostname()}`), 250, 'EHLO');
+
+    if (!smtp.secure && smtp.starttls !== false && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      expect(await conversation.send('STARTTLS'), 220, 'STARTTLS');
+      conversation.socket.removeAllListeners('data');
+      const secureSocket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket: conversation.socket, servername: smtp.host }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      conversation = createConversation(secureSocket);
+      encrypted = true;
+      ehlo = expect(await conversation.send(`EHLO ${os.hostname()}`), 250, 'EHLO');
+    }
+
+    if (smtp.user && !encrypted && !smtp.insecure) {
+      const error = new Error(`SMTP server ${smtp.host} offers no TLS; refusing to send the password in plain text (use smtp.secure, or set smtp.insecure to allow it)`);
+      error.code = 'ENOTLS';
+      throw error;
+    }
+    if (smtp.user) {
+      const credentials = Buffer.from(`\u0000${smtp.user}\u0000${smtp.password || ''}`, 'utf8').toString('base64');
+      expect(await conversation.send(`AUTH PLAIN ${credentials}`), 235, 'AUTH');
+    }
+
+    expect(await conversation.send(`MAIL FROM:<${message.from.replace(/^.*<|>.*$/g, '')}>`), 250, 'MAIL FROM');
+    for (const recipient of message.to) {
+      const reply = await conversation.send(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`);
+      if (reply.code !== 250 && reply.code !== 251) {
+        expect(reply, 250, `RCPT TO ${recipient}`);
+      }
+    }
+    expect(await conversation.send('DATA'), 354, 'DATA');
+    expect(await conversation.send(buildMessage(message)), 250, 'message');
+    await conversation.send('QUIT').catch(() => {});
+  } finally {
+    conversation.socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail,
+  buildMessage
+};
@@ -1,68 +1,160 @@
 const chalk = require('chalk');
 const axios = require('axios');
-const { fetchFintocTransactions } = require('./fetchFintoc');
+const { fetchFintocTransactions, daysAgo } = require('./fetchFintoc');
 const { fetchTransactions } = require('./fetchLM');
-const { assignCategoryId } = require('./categorize');
+const {
+  assignCategoryId,
+  getCategoryId,
+  checkCategoryNames,
+  resetMemoryCache,
+  flushMemory
+} = require('./categorize');
+const { createDuplicateIndex } = require('./dedupe');
+const { formatAmount, toLunchMoneyCurrency } = require('./currency');
+const { getCursor, setCursor, resumeDate, newestMovement } = require('./syncState');
+const { reconcile } = require('./reconcile');
+const { matchTransfers, transferNote } = require('./transfers');
+const { normalizeRules } = require('./rules');
+const { normalizePayee, buildNotes } = require('./payee');
+const { addReviewItems } = require('./reviewQueue');
+const { recordRun } = require('./runJournal');
+const { recordAccountSync } = require('./metrics');
 const { 
   withRetry, 
   shouldRetryHttpError, 
-  generateTransactionFingerprint,
   sanitizeErrorForLogging,
   batchArray
 } = require('./utils');
 
 /**
- * Sync recent Fintoc movements to Lunch Money.
+ * Count skipped duplicates by the rule that matched them
+ * @param {Array<Object>} skippedDuplicates Duplicate records collected during sync
+ * @returns {Object<string, number>} Count per dedupe method
+ */
+function countDuplicatesByMethod(skippedDuplicates) {
+  const counts = {};
+  for (const duplicate of skippedDuplicates) {
+    counts[duplicate.method] = (counts[duplicate.method] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Fetch the Fintoc movements of one account for its sync window.
  *
  * @param {Object} options
  * @param {Object} options.config Configuration object returned by loadConfig().
+ * @param {Object} options.account One entry of config.accounts.
+ * @param {boolean} options.incremental If true, start from the account's last
+ *   synced movement instead of the `daysToSync` window.
+ * @param {{since: string, until: string}|null} [options.range] Explicit date
+ *   range (inclusive), used by backfills instead of the sync window.
+ * @returns {Promise<{movements: Array<Object>, skipped: Array<{id: string|null, reason: string}>, since: string, until: string}>}
+ *   `skipped` lists the movements Fintoc returned without a date or amount.
+ */
+async function fetchAccountMovements({ config, account, incremental = false, range = null }) {
+  const { finocApiKey, finocLinkId, currency } = account;
+
+  // Determine the sync window, shared by the Fintoc fetch and the duplicate check
+  const cursor = incremental && !range ? getCursor(finocLinkId) : null;
+  let since = cursor ? resumeDate(cursor, config.incrementalOverlapDays) : daysAgo(config.daysToSync);
+  let until = new Date().toISOString().slice(0, 10);
+  if (range) {
+    ({ since, until } = range);
+  }
+  if (cursor) {
+    console.log(chalk.blue(`Resuming ${account.name} from ${since}, ${config.incrementalOverlapDays} day(s) before the last synced movement on ${cursor.date}`));
+  }
+
+  const { transactions: fetched, skipped } = await withRetry(
+    () => fetchFintocTransactions({
+      apiKey: finocApiKey,
+      linkId: finocLinkId,
+      since,
+      until,
+      currency
+    }),
+    3,
+    1000,
+    shouldRetryHttpError
+  );
+
+  // Keep the raw bank description and use the normalised payee from here on
+  const movements = fetched.map(movement => ({
+    ...movement,
+    description: movement.payee,
+    payee: normalizePayee(movement.payee, config.payeeNormalization)
+  }));
+
+  return { movements, skipped, since, until };
+}
+
+/**
+ * Sync recent movements of a single Fintoc account to its Lunch Money asset.
+ *
+ * @param {Object} options
+ * @param {Object} options.config Configuration object returned by loadConfig().
+ * @param {Object} options.account One entry of config.accounts.
  * @param {boolean} options.dryRun If true, only output what would be done.
+ * @param {boolean} options.incremental If true, start from the account's last
+ *   synced movement instead of the `daysToSync` window.
+ * @param {Object} [options.fetched] Result of fetchAccountMovements() when the
+ *   movements were already fetched by the caller, or `{ error }` if that failed.
+ * @param {Map<Object, Object>} [options.transfers] Transfer pairs keyed by
+ *   movement, as returned by matchTransfers().
+ * @param {{since: string, until: string}|null} [options.range] Explicit date
+ *   range; the account's high-water mark is left alone for these.
+ * @returns {Promise<Object>} Per-account sync result.
  */
-async function sync({ config, dryRun = false }) {
+async function syncAccount({ config, account, dryRun = false, incremental = false, fetched = null, transfers = new Map(), range = null }) {
+  const { lunchmoneyToken, categoryRules } = config;
   const {
-    lunchmoneyToken,
-    finocApiKey,
     finocLinkId,
-    daysToSync,
-    categoryRules,
     currency,
     lunchmoneyAssetId
-  } = config;
+  } = account;
 
   // Fetch recent Fintoc movements with retry logic
   let finMovements;
+  let skippedMovements;
+  let startDateStr;
+  let endDateStr;
   try {
-    finMovements = await withRetry(
-      () => fetchFintocTransactions({
-        apiKey: finocApiKey,
-        linkId: finocLinkId,
-        daysToSync
-      }),
-      3,
-      1000,
-      shouldRetryHttpError
-    );
+    const result = fetched || await fetchAccountMovements({ config, account, incremental, range });
+    if (result.error) {
+      throw result.error;
+    }
+    ({ movements: finMovements, skipped: skippedMovements = [], since: startDateStr, until: endDateStr } = result);
   } catch (err) {
     const sanitizedError = sanitizeErrorForLogging(err, { operation: 'fetch_fintoc' });
     console.error(chalk.red(`Error fetching Fintoc movements: ${err.message}`));
     console.error('Details:', JSON.stringify(sanitizedError, null, 2));
-    return;
+    return {
+      success: false,
+      processed: 0,
+      inserted: 0,
+      skipped: 0,
+      errors: 1,
+      error: err.message
+    };
   }
 
-  if (finMovements.length === 0) {
+  // With reconciliation enabled an empty window still needs checking for
+  // rows whose movement was reversed
+  if (finMovements.length === 0 && config.reconcileMode === 'ignore') {
     console.log(chalk.yellow('No Fintoc transactions found in the given period.'));
-    return;
+    return {
+      success: true,
+      processed: 0,
+      invalidMovements: skippedMovements.length,
+      inserted: 0,
+      skipped: 0,
+      errors: 0
+    };
   }
 
   console.log(chalk.blue(`Found ${finMovements.length} Fintoc transactions to process`));
 
-  // Determine date range for checking duplicates
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(endDate.getDate() - daysToSync);
-  const startDateStr = startDate.toISOString().slice(0, 10);
-  const endDateStr = endDate.toISOString().slice(0, 10);
-
   // Fetch existing Lunch Money transactions for dedupe with retry logic
   let existing;
   try {
@@ -76,51 +168,57 @@ async function sync({ config, dryRun = false }) {
     const sanitizedError = sanitizeErrorForLogging(err, { operation: 'fetch_lunchmoney' });
     console.error(chalk.red(`Error fetching Lunch Money transactions: ${err.message}`));
     console.error('Details:', JSON.stringify(sanitizedError, null, 2));
-    return;
+    return {
+      success: false,
+      processed: finMovements.length,
+      invalidMovements: skippedMovements.length,
+      inserted: 0,
+      skipped: 0,
+      errors: 1,
+      error: err.message
+    };
   }
 
   console.log(chalk.blue(`Found ${existing.length} existing Lunch Money transactions for duplicate check`));
 
-  // Create enhanced duplicate detection using both simple key and fingerprint
-  const existingFingerprints = new Set();
-  const existingSimpleKeys = new Set();
-  
-  for (const tx of existing) {
-    // Simple key for backward compatibility
-    const simpleKey = `${tx.date}-${Number(tx.amount).toFixed(2)}`;
-    existingSimpleKeys.add(simpleKey);
-    
-    // Enhanced fingerprint for better detection
-    const fingerprint = generateTransactionFingerprint({
-      date: tx.date,
-      amount: tx.amount,
-      payee: tx.payee || '',
-      reference: tx.external_id || tx.id
-    });
-    existingFingerprints.add(fingerprint);
-  }
+  // Bring previously inserted rows in line with their source movements
+  const reconciliation = await reconcile({
+    token: lunchmoneyToken,
+    mode: config.reconcileMode,
+    movements: finMovements,
+    existing,
+    currency,
+    // An unreadable movement without an ID could be any of the rows
+    detectMissing: Boolean(lunchmoneyAssetId) && !account.sharedAsset && skippedMovements.every(movement => movement.id),
+    ignoreIds: skippedMovements.map(movement => movement.id),
+    dryRun
+  });
+  const reconciled = {
+    updated: reconciliation.updated,
+    flagged: reconciliation.flagged,
+    deleted: reconciliation.deleted,
+    changes: reconciliation.changes
+  };
+
+  // Exact matching on external_id, with a date+amount fallback for older rows
+  const duplicateIndex = createDuplicateIndex(existing);
 
   const newTransactions = [];
   const skippedDuplicates = [];
   const processingErrors = [];
+  const categorizationByTransaction = new Map();
+  const rulesFired = {};
 
   for (const movement of finMovements) {
     try {
-      // Check for duplicates using both methods
-      const simpleKey = `${movement.date}-${Number(movement.amount).toFixed(2)}`;
-      const fingerprint = generateTransactionFingerprint({
-        date: movement.date,
-        amount: movement.amount,
-        payee: movement.payee,
-        reference: movement.reference
-      });
-      
-      if (existingSimpleKeys.has(simpleKey) || existingFingerprints.has(fingerprint)) {
+      const duplicateMethod = duplicateIndex.match(movement);
+      if (duplicateMethod) {
         const duplicateInfo = {
           date: movement.date,
           amount: movement.amount.toFixed(2),
           payee: movement.payee,
-          method: existingFingerprints.has(fingerprint) ? 'fingerprint' : 'simple'
+          external_id: movement.id,
+          method: duplicateMethod
         };
         skippedDuplicates.push(duplicateInfo);
         
@@ -132,14 +230,48 @@ async function sync({ config, dryRun = false }) {
         continue;
       }
 
-      // Assign category with retry logic
-      let categoryId = null;
+      // Transfers between our own accounts get the transfer category instead
+      // of being categorised like spending
+      const transfer = transfers.get(movement) || null;
+      let categorization = {
+        categoryId: null,
+        categoryName: null,
+        matchSource: null,
+        confidence: 0,
+        suggestion: null,
+        candidates: [],
+        memoryKey: null,
+        rule: null,
+        tags: [],
+        notes: null,
+        payee: null
+      };
       try {
-        categoryId = await withRetry(
-          () => assignCategoryId(lunchmoneyToken, movement.payee, categoryRules),
-          2, // Fewer retries for categorization
-          500
-        );
+        if (transfer) {
+          const categoryId = await withRetry(
+            () => getCategoryId(lunchmoneyToken, config.transfers.category),
+            2,
+            500
+          );
+          categorization = {
+            ...categorization,
+            categoryId,
+            matchSource: 'transfer',
+            confidence: 1,
+            tags: [config.transfers.tag],
+            notes: transferNote(transfer)
+          };
+        } else {
+          categorization = await withRetry(
+            () => assignCategoryId(lunchmoneyToken, movement.payee, categoryRules, {
+              amount: movement.amount,
+              date: movement.date,
+              account: account.name
+            }, { minConfidence: config.minConfidence, reviewThreshold: config.reviewThreshold }),
+            2, // Fewer retries for categorization
+            500
+          );
+        }
       } catch (err) {
         const sanitizedError = sanitizeErrorForLogging(err, { 
           operation: 'categorize',
@@ -155,22 +287,30 @@ async function sync({ config, dryRun = false }) {
         );
         // Continue without category rather than failing the entire transaction
       }
+      if (categorization.rule) {
+        rulesFired[categorization.rule] = (rulesFired[categorization.rule] || 0) + 1;
+      }
 
+      // Prefer the movement's own currency over the account default
+      const movementCurrency = movement.currency || currency;
+      const { categoryId, tags, notes } = categorization;
       const transaction = {
         date: movement.date,
-        amount: movement.amount.toFixed(2),
-        payee: movement.payee,
-        currency: currency.toLowerCase(),
+        amount: formatAmount(movement.amount, movementCurrency),
+        payee: categorization.payee || movement.payee,
+        currency: toLunchMoneyCurrency(movementCurrency),
         ...(categoryId ? { category_id: categoryId } : {}),
         ...(lunchmoneyAssetId ? { asset_id: parseInt(lunchmoneyAssetId) } : {}),
-        ...(movement.reference ? { external_id: movement.reference } : {})
+        ...(movement.id ? { external_id: movement.id } : {}),
+        ...(tags.length > 0 ? { tags } : {}),
+        notes: buildNotes(movement.description, notes)
       };
+      categorizationByTransaction.set(transaction, categorization);
 
       newTransactions.push(transaction);
       
-      // Add to our tracking sets to prevent duplicates within this batch
-      existingSimpleKeys.add(simpleKey);
-      existingFingerprints.add(fingerprint);
+      // Track the movement to prevent duplicates within this batch
+      duplicateIndex.add(movement);
 
     } catch (err) {
       const sanitizedError = sanitizeErrorForLogging(err, { 
@@ -192,36 +332,62 @@ async function sync({ config, dryRun = false }) {
   console.log(chalk.blue(`Processing summary:`));
   console.log(chalk.green(`  New transactions: ${newTransactions.length}`));
   console.log(chalk.yellow(`  Duplicates skipped: ${skippedDuplicates.length}`));
+  const duplicatesByMethod = countDuplicatesByMethod(skippedDuplicates);
+  for (const [method, count] of Object.entries(duplicatesByMethod)) {
+    console.log(chalk.yellow(`    matched by ${method}: ${count}`));
+  }
   if (processingErrors.length > 0) {
     console.log(chalk.red(`  Processing errors: ${processingErrors.length}`));
   }
+  if (skippedMovements.length > 0) {
+    console.log(chalk.yellow(`  Unreadable Fintoc movements left out: ${skippedMovements.length}`));
+  }
 
   if (newTransactions.length === 0) {
     console.log(chalk.yellow('No new transactions to sync.'));
+    if (!dryRun && !range && processingErrors.length === 0 && reconciliation.errors.length === 0) {
+      setCursor(finocLinkId, newestMovement(finMovements));
+    }
     return {
       success: true,
       processed: finMovements.length,
+      invalidMovements: skippedMovements.length,
       inserted: 0,
       skipped: skippedDuplicates.length,
-      errors: processingErrors.length
+      duplicates: duplicatesByMethod,
+      rules: rulesFired,
+      reconciled,
+      errors: processingErrors.length + reconciliation.errors.length,
+      insertedExternalIds: [],
+      skippedDuplicates,
+      processingErrors
     };
   }
 
   if (dryRun) {
     console.log(chalk.blue(`Dry run: ${newTransactions.length} transaction(s) would be inserted.`));
     for (const tx of newTransactions) {
+      const { matchSource, rule, confidence } = categorizationByTransaction.get(tx);
+      const reason = rule ? `rule "${rule}"` : `${matchSource}, ${Math.round(confidence * 100)}% confidence`;
       console.log(
         chalk.green(
-          `NEW ${tx.date} ${tx.amount} ${tx.payee} ${tx.category_id ? `(Category ID: ${tx.category_id})` : ''}`
+          `NEW ${tx.date} ${tx.amount} ${tx.payee} ${tx.category_id ? `(Category ID: ${tx.category_id} via ${reason})` : ''}${tx.notes ? ` [${tx.notes}]` : ''}`
         )
       );
     }
     return {
       success: true,
       processed: finMovements.length,
+      invalidMovements: skippedMovements.length,
       inserted: newTransactions.length,
       skipped: skippedDuplicates.length,
-      errors: processingErrors.length,
+      duplicates: duplicatesByMethod,
+      rules: rulesFired,
+      reconciled,
+      errors: processingErrors.length + reconciliation.errors.length,
+      insertedExternalIds: newTransactions.map(tx => tx.external_id).filter(Boolean),
+      skippedDuplicates,
+      processingErrors,
       dryRun: true
     };
   }
@@ -230,14 +396,18 @@ async function sync({ config, dryRun = false }) {
   const batchSize = 50; // Lunch Money API limit
   const batches = batchArray(newTransactions, batchSize);
   let totalInserted = 0;
+  const insertedExternalIds = [];
+  // Lunch Money rows as inserted, so a rollback can tell whether they were edited since
+  const insertedTransactions = [];
   const insertionErrors = [];
+  const reviewItems = [];
 
   for (let i = 0; i < batches.length; i++) {
     const batch = batches[i];
     console.log(chalk.blue(`Inserting batch ${i + 1}/${batches.length} (${batch.length} transactions)`));
 
     try {
-      await withRetry(
+      const response = await withRetry(
         async () => {
           const response = await axios.post(
             'https://dev.lunchmoney.app/v1/transactions',
@@ -263,8 +433,40 @@ async function sync({ config, dryRun = false }) {
       );
 
       totalInserted += batch.length;
+      insertedExternalIds.push(...batch.map(tx => tx.external_id).filter(Boolean));
       console.log(chalk.green(`✓ Batch ${i + 1} inserted successfully (${batch.length} transactions)`));
 
+      // Lunch Money returns the new transaction IDs in insertion order
+      const ids = response.data?.ids || [];
+      batch.forEach((tx, index) => {
+        if (ids[index] != null) {
+          insertedTransactions.push({
+            lunchmoneyId: ids[index],
+            external_id: tx.external_id || null,
+            date: tx.date,
+            amount: tx.amount,
+            payee: tx.payee,
+            category_id: tx.category_id || null,
+            notes: tx.notes
+          });
+        }
+        const categorization = categorizationByTransaction.get(tx);
+        if (ids[index] != null && categorization.candidates.length > 0) {
+          reviewItems.push({
+            lunchmoneyId: ids[index],
+            account: account.name,
+            external_id: tx.external_id || null,
+            date: tx.date,
+            amount: tx.amount,
+            payee: tx.payee,
+            memoryKey: categorization.memoryKey,
+            categoryName: categorization.categoryName,
+            confidence: categorization.confidence,
+            candidates: categorization.candidates
+          });
+        }
+      });
+
     } catch (err) {
       const sanitizedError = sanitizeErrorForLogging(err, { 
         operation: 'insert_transactions',
@@ -296,18 +498,218 @@ async function sync({ config, dryRun = false }) {
     console.log(chalk.yellow(`⚠ ${processingErrors.length} transaction(s) had processing errors`));
   }
 
+  const queuedForReview = addReviewItems(reviewItems);
+  if (queuedForReview > 0) {
+    console.log(chalk.yellow(`🔎 ${queuedForReview} transaction(s) queued for category review`));
+  }
+
+  // Only advance the high-water mark after a clean run, so movements that
+  // failed to process or insert are fetched again by the next incremental sync
+  if (!range && insertionErrors.length === 0 && processingErrors.length === 0 && reconciliation.errors.length === 0) {
+    setCursor(finocLinkId, newestMovement(finMovements));
+  }
+
   return {
     success: insertionErrors.length === 0,
     processed: finMovements.length,
+    invalidMovements: skippedMovements.length,
     inserted: totalInserted,
     skipped: skippedDuplicates.length,
-    errors: processingErrors.length + insertionErrors.length,
+    duplicates: duplicatesByMethod,
+    rules: rulesFired,
+    reconciled,
+    errors: processingErrors.length + insertionErrors.length + reconciliation.errors.length,
     batches: batches.length,
+    queuedForReview,
+    insertedExternalIds,
+    insertedTransactions,
+    skippedDuplicates,
     insertionErrors,
     processingErrors
   };
 }
 
+/**
+ * Shift an ISO date by a number of days
+ * @param {string} date Date in YYYY-MM-DD format
+ * @param {number} days Days to add, negative to go back
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Fetch the movements of accounts that are not synced in this run, so a
+ * transfer whose other side lives in one of them is still recognised.  They
+ * are read over the synced accounts' windows widened by the transfer day
+ * window; nothing is written for them and their cursors stay put.
+ * @param {Object} options
+ * @param {Object} options.config Configuration object returned by loadConfig().
+ * @param {Array<Object>} options.accounts Accounts outside this run
+ * @param {Array<{since: string, until: string}>} options.windows Fetch windows
+ *   of the synced accounts
+ * @returns {Promise<Array<{account: Object, movements: Array<Object>}>>}
+ *   Movements of every account that could be fetched
+ */
+async function fetchCounterparts({ config, accounts, windows }) {
+  if (accounts.length === 0 || windows.length === 0) return [];
+
+  const { dayWindow } = config.transfers;
+  const range = {
+    since: addDays(windows.map(window => window.since).sort()[0], -dayWindow),
+    until: addDays(windows.map(window => window.until).sort().pop(), dayWindow)
+  };
+  const counterparts = [];
+  for (const account of accounts) {
+    try {
+      const { movements } = await fetchAccountMovements({ config, account, range });
+      counterparts.push({ account, movements });
+    } catch (err) {
+      console.warn(chalk.yellow(`Warning: could not fetch ${account.name} for transfer matching: ${err.message}`));
+    }
+  }
+  return counterparts;
+}
+
+/**
+ * Sync recent Fintoc movements to Lunch Money for every configured account.
+ *
+ * Accounts are processed one after another so a failure in one account does
+ * not prevent the others from syncing.
+ *
+ * @param {Object} options
+ * @param {Object} options.config Configuration object returned by loadConfig().
+ * @param {string[]|null} [options.accountNames] Names of the accounts to sync,
+ *   all of them if null.  The other configured accounts are still read for
+ *   transfer matching.
+ * @param {boolean} options.dryRun If true, only output what would be done.
+ * @param {boolean} options.incremental If true, each account only fetches
+ *   movements since its previous successful sync.
+ * @param {string} options.trigger What started the run ('cli', 'cron',
+ *   'manual', 'backfill' or 'webhook'), recorded in the run journal.
+ * @param {{since: string, until: string}|null} [options.range] Explicit date
+ *   range (inclusive) instead of the sync window, see backfill.js.
+ * @returns {Promise<Object>} Aggregated totals plus a per-account breakdown
+ *   and the `runId` of the journal entry.
+ */
+async function sync({ config, accountNames = null, dryRun = false, incremental = false, trigger = 'cli', range = null }) {
+  const startedAt = new Date().toISOString();
+  const targets = accountNames
+    ? config.accounts.filter(account => accountNames.includes(account.name))
+    : config.accounts;
+  const accounts = [];
+
+  // Reload memory from disk so rebuilds since the previous run are seen
+  resetMemoryCache();
+
+  // Catch typos in configured categories before they silently leave
+  // transactions uncategorised
+  const configuredCategories = normalizeRules(config.categoryRules).map(rule => rule.category);
+  if (config.transfers.enabled) {
+    configuredCategories.push(config.transfers.category);
+  }
+  try {
+    await checkCategoryNames(config.lunchmoneyToken, configuredCategories);
+  } catch (err) {
+    console.warn(chalk.yellow(`Warning: could not check configured categories: ${err.message}`));
+  }
+
+  // Transfer matching needs the movements of every account up front
+  const prefetched = new Map();
+  let transfers = new Map();
+  if (config.transfers.enabled && config.accounts.length > 1) {
+    for (const account of targets) {
+      try {
+        prefetched.set(account, await fetchAccountMovements({ config, account, incremental, range }));
+      } catch (err) {
+        prefetched.set(account, { error: err });
+      }
+    }
+    const accountMovements = targets
+      .filter(account => !prefetched.get(account).error)
+      .map(account => ({ account, movements: prefetched.get(account).movements }));
+    accountMovements.push(...await fetchCounterparts({
+      config,
+      accounts: config.accounts.filter(account => !targets.includes(account)),
+      windows: accountMovements.map(({ account }) => prefetched.get(account))
+    }));
+    transfers = matchTransfers(accountMovements, { dayWindow: config.transfers.dayWindow });
+    if (transfers.size > 0) {
+      console.log(chalk.blue(`Matched ${transfers.size / 2} internal transfer(s) between accounts`));
+    }
+  }
+
+  for (const account of targets) {
+    console.log(chalk.blue.bold(`\n▶ Account: ${account.name}`));
+    let result;
+    try {
+      result = await syncAccount({
+        config,
+        account,
+        dryRun,
+        incremental,
+        fetched: prefetched.get(account) || null,
+        transfers,
+        range
+      });
+    } catch (err) {
+      console.error(chalk.red(`Sync failed for account "${account.name}": ${err.message}`));
+      result = {
+        success: false,
+        processed: 0,
+        inserted: 0,
+        skipped: 0,
+        errors: 1,
+        error: err.message
+      };
+    }
+    accounts.push({ account: account.name, ...result });
+    if (!dryRun) {
+      recordAccountSync(account.name, result);
+    }
+  }
+
+  // Learned memory is written once per run, and never on a dry run
+  if (!dryRun && flushMemory()) {
+    console.log(chalk.blue('🧠 Categorization memory saved'));
+  }
+
+  const totals = {
+    success: accounts.every(result => result.success),
+    processed: 0,
+    inserted: 0,
+    skipped: 0,
+    errors: 0
+  };
+  for (const result of accounts) {
+    totals.processed += result.processed;
+    totals.inserted += result.inserted;
+    totals.skipped += result.skipped;
+    totals.errors += result.errors;
+  }
+
+  if (accounts.length > 1) {
+    console.log(chalk.blue('\nPer-account summary:'));
+    for (const result of accounts) {
+      const line = `  ${result.account}: ${result.inserted} inserted, ${result.skipped} skipped, ${result.errors} errors`;
+      console.log(result.success ? chalk.green(line) : chalk.red(line));
+    }
+  }
+
+  const result = {
+    ...totals,
+    ...(dryRun ? { dryRun: true } : {}),
+    accounts
+  };
+  const run = recordRun({ trigger, startedAt, dryRun, incremental, range, result });
+  return { ...result, runId: run.id };
+}
+
 module.exports = {
-  sync
+  sync,
+  syncAccount,
+  fetchAccountMovements
 };
\ No newline at end of file
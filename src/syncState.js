@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./memory');
+
+const STATE_FILE = path.join(DATA_DIR, 'sync_state.json');
+
+/**
+ * Load the persisted sync state (per-account high-water marks)
+ * @returns {Object} State object with an `accounts` map keyed by Fintoc account ID
+ */
+function loadSyncState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      return { accounts: {}, ...state };
+    }
+  } catch (error) {
+    console.warn('Warning: failed to load sync state:', error.message);
+  }
+  return { accounts: {} };
+}
+
+/**
+ * Save the sync state to persistent storage
+ * @param {Object} state State object to save
+ */
+function saveSyncState(state) {
+  try {
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error('Error saving sync state:', error.message);
+  }
+}
+
+/**
+ * Get the high-water mark of the last clean sync for an account
+ * @param {string} accountId Fintoc account ID
+ * @returns {{date: string, updatedAt: string}|null} Cursor or null if never synced
+ */
+function getCursor(accountId) {
+  const cursor = loadSyncState().accounts[accountId];
+  return cursor ? { date: cursor.date, updatedAt: cursor.updatedAt } : null;
+}
+
+/**
+ * Record the date of the newest movement seen by a clean sync.  Only the date
+ * is kept: Fintoc filters by date, and movements sharing the newest date are
+ * fetched again and skipped as duplicates.
+ * @param {string} accountId Fintoc account ID
+ * @param {{date: string}|null} movement Newest synced movement, or null to keep the cursor
+ */
+function setCursor(accountId, movement) {
+  if (!movement) return;
+  const state = loadSyncState();
+  state.accounts[accountId] = {
+    date: movement.date,
+    updatedAt: new Date().toISOString()
+  };
+  saveSyncState(state);
+}
+
+/**
+ * First date an incremental sync fetches: the cursor date minus an overlap,
+ * so movements Fintoc reports late (pending card payments, back-dated
+ * transfers) are still picked up.  Already synced movements in the overlap
+ * are skipped as duplicates.
+ * @param {{date: string}} cursor Cursor returned by getCursor()
+ * @param {number} overlapDays Days to go back from the cursor date
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function resumeDate(cursor, overlapDays) {
+  const date = new Date(`${cursor.date}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - Math.max(0, overlapDays || 0));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the newest movement in a list by date
+ * @param {Array<{date: string}>} movements Movements from fetchFintocTransactions()
+ * @returns {Object|null} Newest movement or null for an empty list
+ */
+function newestMovement(movements) {
+  let newest = null;
+  for (const movement of movements) {
+    if (!newest || movement.date > newest.date) {
+      newest = movement;
+    }
+  }
+  return newest;
+}
+
+module.exports = {
+  loadSyncState,
+  saveSyncState,
+  getCursor,
+  setCursor,
+  resumeDate,
+  newestMovement
+};
@@ -0,0 +1,103 @@
+const { formatAmount } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of whole days between two ISO dates
+ * @param {string} a ISO date (YYYY-MM-DD)
+ * @param {string} b ISO date (YYYY-MM-DD)
+ * @returns {number} Absolute difference in days
+ */
+function daysBetween(a, b) {
+  return Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+}
+
+/**
+ * Pair outflows and inflows of opposite amounts across configured accounts.
+ *
+ * Each outflow is paired with the closest-dated unmatched inflow of the same
+ * currency and absolute amount in a different account, within `dayWindow`
+ * days.  A movement takes part in at most one pair.
+ *
+ * @param {Array<{account: Object, movements: Array<Object>}>} accountMovements Movements grouped by account
+ * @param {Object} options
+ * @param {number} options.dayWindow Maximum number of days between both sides
+ * @returns {Map<Object, Object>} Transfer info keyed by movement object
+ */
+function matchTransfers(accountMovements, { dayWindow }) {
+  const outflows = [];
+  const inflows = [];
+
+  for (const { account, movements } of accountMovements) {
+    for (const movement of movements) {
+      const currency = (movement.currency || account.currency || '').toUpperCase();
+      const entry = {
+        account,
+        movement,
+        currency,
+        absAmount: formatAmount(Math.abs(movement.amount), currency)
+      };
+      if (movement.amount < 0) {
+        outflows.push(entry);
+      } else if (movement.amount > 0) {
+        inflows.push(entry);
+      }
+    }
+  }
+
+  outflows.sort((a, b) => a.movement.date.localeCompare(b.movement.date));
+
+  const transfers = new Map();
+  const matchedInflows = new Set();
+
+  for (const outflow of outflows) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const inflow of inflows) {
+      if (matchedInflows.has(inflow)) continue;
+      if (inflow.account === outflow.account) continue;
+      if (inflow.currency !== outflow.currency || inflow.absAmount !== outflow.absAmount) continue;
+      const distance = daysBetween(inflow.movement.date, outflow.movement.date);
+      if (distance <= dayWindow && distance < bestDistance) {
+        best = inflow;
+        bestDistance = distance;
+      }
+    }
+    if (!best) continue;
+
+    matchedInflows.add(best);
+    const pairId = outflow.movement.id || `${outflow.account.name}-${outflow.movement.date}`;
+    transfers.set(outflow.movement, {
+      pairId,
+      direction: 'out',
+      account: outflow.account.name,
+      counterpartAccount: best.account.name,
+      counterpartId: best.movement.id || null
+    });
+    transfers.set(best.movement, {
+      pairId,
+      direction: 'in',
+      account: best.account.name,
+      counterpartAccount: outflow.account.name,
+      counterpartId: outflow.movement.id || null
+    });
+  }
+
+  return transfers;
+}
+
+/**
+ * Note attached to both sides of a transfer pair
+ * @param {Object} transfer Transfer info returned by matchTransfers()
+ * @returns {string} Human readable note
+ */
+function transferNote(transfer) {
+  const from = transfer.direction === 'out' ? transfer.account : transfer.counterpartAccount;
+  const to = transfer.direction === 'out' ? transfer.counterpartAccount : transfer.account;
+  return `Transfer ${from} → ${to} (${transfer.pairId})`;
+}
+
+module.exports = {
+  matchTransfers,
+  transferNote
+};
@@ -2,6 +2,8 @@
  * Utility functions for the sync system
  */
 
+const { recordRetry } = require('./metrics');
+
 /**
  * Execute a function with exponential backoff retry logic
  * @param {Function} fn Function to execute
@@ -33,6 +35,7 @@ async function withRetry(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = nul
       const delay = baseDelay * Math.pow(2, attempt) + Math.random() * 1000;
       
       console.warn(`Attempt ${attempt + 1} failed, retrying in ${Math.round(delay)}ms:`, error.message);
+      recordRetry(error);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { safeEqual } = require('./auth');
+
+/**
+ * Fintoc webhooks
+ *
+ * Fintoc signs every delivery with a `Fintoc-Signature: t=<unix time>,v1=<hex>`
+ * header, the HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint's
+ * webhook secret.  Events that mean an account has new or changed movements
+ * schedule a sync of just that account; a burst of events is debounced into
+ * one run.
+ */
+
+// Events after which an account's movements may have changed
+const SYNC_EVENTS = [
+  'account.refresh_intent.succeeded',
+  'account.refresh_intent.movements_modified',
+  'account.refresh_intent.movements_removed'
+];
+
+// Deliveries signed longer ago than this are rejected, against replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Verify the Fintoc-Signature header of a webhook delivery
+ * @param {Buffer|string} rawBody Unparsed request body
+ * @param {string} header Fintoc-Signature header
+ * @param {string} secret Webhook secret
+ * @param {number} [now] Current Unix time in seconds
+ * @returns {string|null} Why the delivery is rejected, or null if it is valid
+ */
+function verifyFintocSignature(rawBody, header, secret, now = Math.floor(Date.now() / 1000)) {
+  if (!header) {
+    return 'Missing Fintoc-Signature header';
+  }
+  const parts = {};
+  for (const part of header.split(',')) {
+    const [key, ...value] = part.trim().split('=');
+    parts[key] = value.join('=');
+  }
+  const timestamp = Number(parts.t);
+  if (!parts.t || !parts.v1 || !Number.isFinite(timestamp)) {
+    return 'Malformed Fintoc-Signature header';
+  }
+  if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return 'Fintoc-Signature timestamp is too old';
+  }
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : (rawBody || '');
+  const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${body}`).digest('hex');
+  return safeEqual(parts.v1, expected) ? null : 'Invalid Fintoc signature';
+}
+
+/**
+ * Fintoc account ID an event is about
+ * @param {Object} event Webhook event
+ * @returns {string|null} Account ID, or null if the event names none
+ */
+function accountIdFromEvent(event) {
+  const data = (event && event.data) || {};
+  if (data.refreshed_object === 'account' || data.refreshed_object_id) {
+    return data.refreshed_object_id || null;
+  }
+  return data.account_id || (data.account && data.account.id) || null;
+}
+
+/**
+ * Collect account IDs and run one sync for all of them once no new ID has
+ * arrived for `delayMs`, or at the latest `maxWaitMs` after the first one
+ * @param {Object} options
+ * @param {number} options.delayMs Quiet period before syncing
+ * @param {number} [options.maxWaitMs] Longest an event waits during a continuous burst
+ * @param {function(string[]): Promise<boolean>} options.run Syncs the accounts;
+ *   resolves false if they could not be synced yet (e.g. the lock was taken)
+ *   so they are retried after another `delayMs`
+ * @returns {{schedule: function(string): void, pending: function(): string[], flush: function(): Promise<void>}}
+ */
+function createSyncDebouncer({ delayMs, maxWaitMs = delayMs * 5, run }) {
+  const pendingIds = new Set();
+  let timer = null;
+  let firstScheduledAt = null;
+  let running = null;
+
+  /**
+   * Sync the collected accounts now
+   * @returns {Promise<void>} Resolves when the run has finished
+   */
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (running) {
+      // Accounts collected meanwhile are synced after the current run
+      await running;
+      if (pendingIds.size > 0 && !timer) arm();
+      return;
+    }
+    if (pendingIds.size === 0) return;
+
+    const ids = [...pendingIds];
+    pendingIds.clear();
+    firstScheduledAt = null;
+    running = (async () => {
+      let done = false;
+      try {
+        done = await run(ids);
+      } catch (error) {
+        console.error(chalk.red('Webhook sync failed:'), error.message);
+        done = true;
+      }
+      if (!done) {
+        ids.forEach(id => pendingIds.add(id));
+      }
+    })();
+    await running;
+    running = null;
+    if (pendingIds.size > 0) arm();
+  }
+
+  /**
+   * (Re)start the quiet-period timer, bounded by maxWaitMs
+   */
+  function arm() {
+    clearTimeout(timer);
+    if (firstScheduledAt === null) firstScheduledAt = Date.now();
+    const wait = Math.max(0, Math.min(delayMs, firstScheduledAt + maxWaitMs - Date.now()));
+    timer = setTimeout(flush, wait);
+    timer.unref();
+  }
+
+  return {
+    schedule(accountId) {
+      pendingIds.add(accountId);
+      if (!running) arm();
+    },
+    pending() {
+      return [...pendingIds];
+    },
+    flush
+  };
+}
+
+module.exports = {
+  SYNC_EVENTS,
+  verifyFintocSignature,
+  accountIdFromEvent,
+  createSyncDebouncer
+};
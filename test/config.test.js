@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+
+/**
+ * Load the config from a config.json with the given content
+ * @param {Object} t Test context
+ * @param {Object} json config.json content
+ * @returns {Object} Result of loadConfig()
+ */
+function loadWith(t, json) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunchmoney-fintoc-config-'));
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(json));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return loadConfig();
+}
+
+test('accounts sharing a Lunch Money asset are marked and reported', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const config = loadWith(t, {
+    reconcile_mode: 'update',
+    accounts: [
+      { name: 'Checking', fintoc_account_id: 'acc_1', lunchmoney_asset_id: 10 },
+      { name: 'Savings', fintoc_account_id: 'acc_2', lunchmoney_asset_id: '10' },
+      { name: 'Card', fintoc_account_id: 'acc_3', lunchmoney_asset_id: 20 }
+    ]
+  });
+  assert.deepEqual(config.accounts.map(account => account.sharedAsset), [true, true, false]);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /"Checking", "Savings" share Lunch Money asset 10/);
+});
+
+test('incremental_overlap_days defaults to three days', t => {
+  delete process.env.INCREMENTAL_OVERLAP_DAYS;
+  assert.equal(loadWith(t, {}).incrementalOverlapDays, 3);
+});
+
+test('transfer matching is opt-in', async t => {
+  const cases = [[{}, false], [{ transfers: { day_window: 3 } }, false], [{ transfers: { enabled: true } }, true]];
+  for (const [json, enabled] of cases) {
+    await t.test(JSON.stringify(json), t => {
+      assert.equal(loadWith(t, json).transfers.enabled, enabled);
+    });
+  }
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCurrencyDecimals,
+  toMajorUnits,
+  formatAmount,
+  toLunchMoneyCurrency
+} = require('../src/currency');
+
+test('getCurrencyDecimals knows Fintoc currencies and defaults to 2', () => {
+  assert.equal(getCurrencyDecimals('CLP'), 0);
+  assert.equal(getCurrencyDecimals('clf'), 4);
+  assert.equal(getCurrencyDecimals('UF'), 4);
+  assert.equal(getCurrencyDecimals('USD'), 2);
+  assert.equal(getCurrencyDecimals('MXN'), 2);
+  assert.equal(getCurrencyDecimals('EUR'), 2);
+  assert.equal(getCurrencyDecimals(null), 2);
+});
+
+test('toMajorUnits scales minor units and keeps the sign', () => {
+  const cases = [
+    [-45990, 'CLP', -45990],
+    [1250000, 'CLP', 1250000],
+    [-1999, 'USD', -19.99],
+    [150005, 'USD', 1500.05],
+    [-34950, 'MXN', -349.5],
+    [5, 'MXN', 0.05],
+    [-123456, 'CLF', -12.3456],
+    [10000, 'UF', 1]
+  ];
+  for (const [minor, currency, major] of cases) {
+    assert.equal(toMajorUnits(minor, currency), major, `${minor} ${currency}`);
+  }
+});
+
+test('formatAmount keeps every significant decimal, at least two', () => {
+  assert.equal(formatAmount(-45990, 'CLP'), '-45990.00');
+  assert.equal(formatAmount(1500.05, 'USD'), '1500.05');
+  assert.equal(formatAmount(-349.5, 'MXN'), '-349.50');
+  assert.equal(formatAmount(-12.3456, 'CLF'), '-12.3456');
+});
+
+test('toLunchMoneyCurrency lower-cases codes and maps UF to CLF', () => {
+  assert.equal(toLunchMoneyCurrency('CLP'), 'clp');
+  assert.equal(toLunchMoneyCurrency('UF'), 'clf');
+  assert.equal(toLunchMoneyCurrency('usd'), 'usd');
+});
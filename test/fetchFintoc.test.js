@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { fetchFintocTransactions } = require('../src/fetchFintoc');
+
+/**
+ * Serve a recorded movements payload as the only page of the Fintoc API
+ * @param {Object} t Test context
+ * @param {string} fixture Fixture file name
+ * @returns {Object} The mocked axios.get
+ */
+function serveFixture(t, fixture) {
+  const movements = require(`./fixtures/fintoc/${fixture}`);
+  t.mock.method(console, 'warn', () => {});
+  return t.mock.method(axios, 'get', async () => ({ data: movements }));
+}
+
+/**
+ * Fetch the movements of a test account for March 2024
+ * @param {string} [currency] Account currency
+ * @returns {Promise<Object>} Result of fetchFintocTransactions()
+ */
+function fetchMarch(currency) {
+  return fetchFintocTransactions({
+    apiKey: 'sk_test',
+    linkId: 'acc_test',
+    since: '2024-02-01',
+    until: '2024-03-31',
+    currency
+  });
+}
+
+test('CLP movements are whole pesos with their sign', async t => {
+  serveFixture(t, 'movements_clp.json');
+  const { transactions, skipped } = await fetchMarch('CLP');
+  assert.deepEqual(transactions, [
+    { id: 'mov_2Vd9kBqLnR8ZpXcE', date: '2024-03-04', amount: -45990, currency: 'CLP', payee: 'COMPRA NAC LIDER EXPRESS SANTIAGO' },
+    { id: 'mov_7kP3mQwZx1YbNt5A', date: '2024-03-01', amount: 1250000, currency: 'CLP', payee: 'Transferencia De Empresa Spa' },
+    // Without transaction_date the post date is used
+    { id: 'mov_9Lr2cVsTq4WnHj6B', date: '2024-02-29', amount: -890, currency: 'CLP', payee: 'COMISION MANTENCION' }
+  ]);
+  assert.deepEqual(skipped, []);
+});
+
+test('USD movements are scaled from cents', async t => {
+  serveFixture(t, 'movements_usd.json');
+  const { transactions } = await fetchMarch('CLP');
+  assert.deepEqual(transactions.map(({ amount, currency }) => [amount, currency]), [
+    [-19.99, 'USD'],
+    [1500.05, 'USD']
+  ]);
+});
+
+test('MXN movements are scaled from centavos', async t => {
+  serveFixture(t, 'movements_mxn.json');
+  const { transactions } = await fetchMarch('MXN');
+  assert.deepEqual(transactions.map(({ amount }) => amount), [-349.5, 0.05]);
+});
+
+test('UF movements are reported as CLF with four decimals', async t => {
+  serveFixture(t, 'movements_clf.json');
+  const { transactions } = await fetchMarch('UF');
+  assert.deepEqual(transactions.map(({ amount, currency }) => [amount, currency]), [
+    [-12.3456, 'CLF'],
+    [1, 'CLF']
+  ]);
+});
+
+test('movements without a date or amount are reported, not silently dropped', async t => {
+  serveFixture(t, 'movements_clf.json');
+  const { transactions, skipped } = await fetchMarch('UF');
+  assert.equal(transactions.length, 2);
+  assert.deepEqual(skipped, [
+    { id: 'mov_0Xx0noDateNoAmt1', reason: 'invalid amount null' },
+    { id: 'mov_0Xx0noDate00002', reason: 'missing date' }
+  ]);
+  assert.equal(console.warn.mock.callCount(), 1);
+  assert.match(console.warn.mock.calls[0].arguments[0], /skipped 2 Fintoc movement/);
+});
+
+test('the account currency is used when a movement has none', async t => {
+  t.mock.method(axios, 'get', async () => ({
+    data: [{ id: 'mov_x', amount: -250, description: 'PEAJE', transaction_date: '2024-03-10T00:00:00Z' }]
+  }));
+  const { transactions } = await fetchMarch('USD');
+  assert.deepEqual(transactions, [{ id: 'mov_x', date: '2024-03-10', amount: -2.5, currency: 'USD', payee: 'PEAJE' }]);
+});
+
+test('paging stops at movements older than the window', async t => {
+  const get = t.mock.method(axios, 'get', async () => ({
+    data: Array.from({ length: 200 }, (_, index) => ({
+      id: `mov_${index}`,
+      amount: -100,
+      currency: 'CLP',
+      description: 'X',
+      transaction_date: index < 150 ? '2024-03-10' : '2024-01-15'
+    }))
+  }));
+  const { transactions } = await fetchMarch('CLP');
+  assert.equal(transactions.length, 150);
+  assert.equal(get.mock.callCount(), 1);
+  assert.deepEqual(get.mock.calls[0].arguments[1].params, { since: '2024-02-01', until: '2024-03-31', per_page: 200, page: 1 });
+});
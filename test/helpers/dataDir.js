@@ -0,0 +1,19 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point DATA_DIR at a fresh temporary directory.  Must run before any module
+ * under src/ is required, since they resolve their state files on load.
+ * @returns {string} Temporary data directory
+ */
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunchmoney-fintoc-test-'));
+  process.env.DATA_DIR = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = {
+  useTempDataDir
+};
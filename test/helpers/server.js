@@ -0,0 +1,20 @@
+/**
+ * Serve the app of server.js on a free port for the duration of a test file
+ * @param {Object} app Express app exported by server.js
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} Base URL
+ *   and a function stopping the listener
+ */
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+module.exports = {
+  listen
+};
@@ -0,0 +1,76 @@
+const net = require('net');
+
+/**
+ * Start a plain text SMTP server on a free port that records what clients send
+ * @param {Object} [options]
+ * @param {string[]} [options.extensions] EHLO extensions to advertise
+ * @param {string} [options.authReply] Reply to AUTH
+ * @param {string} [options.dataReply] Reply to the end of a message
+ * @returns {Promise<{port: number, commands: string[], messages: string[], close: function(): Promise<void>}>}
+ */
+function startSmtpServer({ extensions = ['AUTH PLAIN'], authReply = '235 Authenticated', dataReply = '250 Queued' } = {}) {
+  const commands = [];
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    let buffer = '';
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 stub ESMTP');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        reply(dataReply);
+      }
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          [' stub', ...extensions].forEach((extension, position, all) =>
+            reply(`250${position === all.length - 1 ? ' ' : '-'}${extension.trim()}`));
+        } else if (verb === 'AUTH') {
+          reply(authReply);
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 Go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        commands,
+        messages,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  startSmtpServer
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/dataDir').useTempDataDir();
+const axios = require('axios');
+const { buildMemoryFromLunchMoney } = require('../src/learnLunchMoney');
+const { createMemory, saveMemory, loadMemory } = require('../src/memory');
+const { saveLearningState } = require('../src/learningState');
+const { daysAgo } = require('../src/fetchFintoc');
+
+/**
+ * Serve Lunch Money transactions and silence the rebuild's output
+ * @param {Object} t Test context
+ * @param {Array<Object>} transactions Transactions of the only page
+ * @returns {Array<Object>} Query parameters of each request
+ */
+function serveTransactions(t, transactions) {
+  const requests = [];
+  t.mock.method(axios, 'get', async (url, { params }) => {
+    requests.push(params);
+    return { data: { transactions, has_more: false } };
+  });
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  return requests;
+}
+
+/**
+ * Store a provisional guess and learning state as left by a rebuild today,
+ * with an observation of the guessed transaction older than the lookback
+ * @param {string} guessedAt Date of the guessed transaction
+ */
+function seedGuess(guessedAt) {
+  const memory = createMemory();
+  memory.payees['PANADERIA LA ESPIGA'] = {
+    categories: { Groceries: 1 },
+    lastSeen: guessedAt,
+    source: 'fuzzy',
+    provisional: true
+  };
+  saveMemory(memory);
+  const now = new Date().toISOString();
+  saveLearningState({
+    lastRebuild: now,
+    lastFullRebuild: now,
+    startDate: '2023-01-01',
+    observations: {
+      1: { date: guessedAt, amount: 3500, payee: 'PANADERIA LA ESPIGA', category_name: 'Groceries', category_group_name: null }
+    }
+  });
+}
+
+test('incremental rebuilds leave guesses older than the lookback to the full rebuild', async t => {
+  const guessedAt = daysAgo(90);
+  seedGuess(guessedAt);
+  const requests = serveTransactions(t, []);
+
+  await buildMemoryFromLunchMoney('lm_test', '2023-01-01', true, { incremental: true, incrementalLookbackDays: 30, minCount: 1 });
+
+  assert.equal(requests[0].start_date, daysAgo(30));
+  assert.equal(loadMemory().payees['PANADERIA LA ESPIGA'].provisional, true);
+});
+
+test('full rebuilds settle the guess from the whole history', async t => {
+  const guessedAt = daysAgo(90);
+  seedGuess(guessedAt);
+  serveTransactions(t, [{ id: 1, date: guessedAt, amount: '3500', payee: 'PANADERIA LA ESPIGA', category_name: 'Groceries' }]);
+
+  await buildMemoryFromLunchMoney('lm_test', '2023-01-01', true, { minCount: 1 });
+
+  const entry = loadMemory().payees['PANADERIA LA ESPIGA'];
+  assert.equal(entry.provisional, undefined);
+  assert.equal(entry.source, 'history');
+});
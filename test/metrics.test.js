@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+require('./helpers/dataDir').useTempDataDir();
+const { recordRun } = require('../src/runJournal');
+const { createMemory, saveMemory } = require('../src/memory');
+const { recordAccountSync, renderMetrics } = require('../src/metrics');
+
+/**
+ * Value of a sample line in a metrics document
+ * @param {string} document Output of renderMetrics()
+ * @param {string} sample Metric name and labels, without prefix
+ * @returns {number|undefined} Value, undefined if the sample is missing
+ */
+function sampleValue(document, sample) {
+  const line = document.split('\n').find(candidate => candidate.startsWith(`lunchmoney_fintoc_sync_${sample} `));
+  return line ? Number(line.split(' ').pop()) : undefined;
+}
+
+test('gauges are read from disk once and then kept in memory', t => {
+  recordRun({
+    trigger: 'cli',
+    startedAt: '2024-03-04T10:00:00.000Z',
+    dryRun: false,
+    incremental: false,
+    result: {
+      success: true, processed: 0, inserted: 0, skipped: 0, errors: 0,
+      accounts: [{ account: 'Checking', success: true, processed: 0, inserted: 0, skipped: 0, errors: 0 }]
+    }
+  });
+  const memory = createMemory();
+  memory.payees.LIDER = { categories: { Groceries: 2 }, lastSeen: null, source: 'history' };
+  saveMemory(memory);
+
+  const first = renderMetrics();
+  assert.ok(sampleValue(first, 'last_success_timestamp_seconds{account="Checking"}') > 0);
+  assert.equal(sampleValue(first, 'memory_entries{source="history"}'), 1);
+
+  const reads = t.mock.method(fs, 'readFileSync');
+  const before = Date.now() / 1000;
+  recordAccountSync('Card', { success: true, processed: 1, inserted: 1, skipped: 0, errors: 0 });
+  const second = renderMetrics();
+  assert.equal(reads.mock.callCount(), 0);
+  assert.ok(sampleValue(second, 'last_success_timestamp_seconds{account="Card"}') >= before);
+  assert.equal(sampleValue(second, 'memory_entries{source="history"}'), 1);
+
+  // Saving the memory makes the next scrape read it again
+  memory.payees.COPEC = { categories: { Fuel: 1 }, lastSeen: null, source: 'manual' };
+  saveMemory(memory);
+  const third = renderMetrics();
+  assert.equal(reads.mock.callCount(), 1);
+  assert.equal(sampleValue(third, 'memory_entries{source="manual"}'), 1);
+});
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('./helpers/dataDir').useTempDataDir();
+const axios = require('axios');
+const { notifySyncResult, sendDigest, sendTestNotification, renderTemplate } = require('../src/notifier');
+const { recordRun } = require('../src/runJournal');
+const { startSmtpServer } = require('./helpers/smtpServer');
+
+const STATE_FILE = path.join(dataDir, 'notification_state.json');
+
+/**
+ * A webhook channel as built by loadConfig()
+ * @param {Object} [fields] Overrides
+ * @returns {Object} Channel
+ */
+function webhookChannel(fields = {}) {
+  return {
+    name: 'ops',
+    type: 'webhook',
+    triggers: ['failure', 'consecutive_failures', 'recovery'],
+    consecutiveFailures: 2,
+    templates: {},
+    url: 'https://hooks.example.com/sync',
+    headers: {},
+    ...fields
+  };
+}
+
+/**
+ * Config with the given notification channels
+ * @param {Array<Object>} channels Channels
+ * @returns {Object} Config
+ */
+function configWith(channels) {
+  return { currency: 'CLP', accounts: [{ name: 'Checking', currency: 'CLP' }], notifications: { channels } };
+}
+
+/**
+ * Record the requests made with axios.post and answer them
+ * @param {Object} t Test context
+ * @param {function(string): Object|undefined} [respond] Throws or returns a response per URL
+ * @returns {Array<{url: string, body: Object}>} Recorded requests
+ */
+function stubPost(t, respond = () => ({ data: {} })) {
+  const requests = [];
+  t.mock.method(axios, 'post', async (url, body) => {
+    requests.push({ url, body });
+    return respond(url);
+  });
+  // Skip withRetry() backoff and keep the output quiet
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  return requests;
+}
+
+/**
+ * An HTTP error as thrown by axios
+ * @param {number} status Response status
+ * @returns {Error} Error
+ */
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: {} } });
+}
+
+/**
+ * Result of a one-account sync
+ * @param {boolean} success Whether the sync succeeded
+ * @returns {Object} sync() result
+ */
+function syncResult(success) {
+  return { accounts: [{ account: 'Checking', success, error: success ? undefined : 'Fintoc API error: 503' }] };
+}
+
+test.beforeEach(() => fs.rmSync(STATE_FILE, { force: true }));
+
+test('failure streaks notify once per threshold and recover once', async t => {
+  const requests = stubPost(t);
+  const config = configWith([webhookChannel()]);
+
+  const events = [];
+  for (const success of [false, false, false, true, true]) {
+    const results = await notifySyncResult(config, syncResult(success));
+    events.push(results.map(result => result.event));
+  }
+
+  assert.deepEqual(events, [
+    ['failure'],
+    ['failure', 'consecutive_failures'],
+    ['failure'],
+    ['recovery'],
+    []
+  ]);
+  assert.equal(requests[0].url, 'https://hooks.example.com/sync');
+  assert.equal(requests[0].body.text, '❌ Sync of Checking failed: Fintoc API error: 503');
+  assert.match(requests.find(request => request.body.event === 'recovery').body.text, /recovered after 3 failed run\(s\)/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).accounts, {});
+});
+
+test('the failure streak survives restarts through notification_state.json', async t => {
+  stubPost(t);
+  const config = configWith([webhookChannel()]);
+  await notifySyncResult(config, syncResult(false));
+
+  const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  assert.equal(state.accounts.Checking.failures, 1);
+  assert.equal(state.accounts.Checking.lastError, 'Fintoc API error: 503');
+  const [result] = (await notifySyncResult(config, syncResult(false))).filter(r => r.event === 'consecutive_failures');
+  assert.equal(result.success, true);
+});
+
+test('dry runs and configs without channels send nothing', async t => {
+  const requests = stubPost(t);
+  assert.deepEqual(await notifySyncResult(configWith([]), syncResult(false)), []);
+  assert.deepEqual(await notifySyncResult(configWith([webhookChannel()]), { ...syncResult(false), dryRun: true }), []);
+  assert.equal(requests.length, 0);
+  assert.equal(fs.existsSync(STATE_FILE), false);
+});
+
+test('server errors are retried, client errors are not', async t => {
+  let calls = 0;
+  stubPost(t, url => {
+    calls++;
+    if (url.includes('flaky') && calls < 3) throw httpError(502);
+    if (url.includes('broken')) throw httpError(400);
+    return { data: {} };
+  });
+
+  const [flaky] = await sendTestNotification(configWith([webhookChannel({ url: 'https://flaky.example.com' })]));
+  assert.equal(flaky.success, true);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  const [broken] = await sendTestNotification(configWith([webhookChannel({ url: 'https://broken.example.com' })]));
+  assert.equal(broken.success, false);
+  assert.equal(calls, 1);
+});
+
+test('telegram messages go to the bot API with the chat ID', async t => {
+  const requests = stubPost(t);
+  const channel = {
+    name: 'phone',
+    type: 'telegram',
+    triggers: ['failure'],
+    consecutiveFailures: 3,
+    templates: { failure: '{{account}}: {{error}}' },
+    botToken: '123:abc',
+    botTokenEnv: 'TELEGRAM_BOT_TOKEN',
+    chatId: '42',
+    apiUrl: 'https://telegram.example.com'
+  };
+
+  await notifySyncResult(configWith([channel]), syncResult(false));
+  assert.deepEqual(requests, [{
+    url: 'https://telegram.example.com/bot123:abc/sendMessage',
+    body: { chat_id: '42', text: 'Checking: Fintoc API error: 503', disable_web_page_preview: true }
+  }]);
+
+  const [missing] = await sendTestNotification(configWith([{ ...channel, botToken: null }]));
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /needs TELEGRAM_BOT_TOKEN and chat_id/);
+});
+
+test('emails are sent through SMTP with the rendered subject', async t => {
+  const server = await startSmtpServer();
+  t.after(() => server.close());
+  stubPost(t);
+  const channel = {
+    name: 'mail',
+    type: 'email',
+    triggers: ['failure'],
+    consecutiveFailures: 3,
+    templates: {},
+    smtp: { host: '127.0.0.1', port: server.port, secure: false, starttls: true, insecure: true, user: 'sync', password: 'secret' },
+    passwordEnv: 'SMTP_PASSWORD',
+    from: 'sync@example.com',
+    to: ['me@example.com'],
+    subject: '[sync] {{title}}'
+  };
+
+  const [result] = await notifySyncResult(configWith([channel]), syncResult(false));
+  assert.equal(result.success, true);
+  const subject = server.messages[0].match(/^Subject: =\?UTF-8\?B\?(.*)\?=$/m)[1];
+  assert.equal(Buffer.from(subject, 'base64').toString('utf8'), '[sync] Sync of Checking failed');
+
+  // Without smtp.insecure the password is not sent over plain text
+  const [refused] = await sendTestNotification(configWith([{ ...channel, smtp: { ...channel.smtp, insecure: false } }]));
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /offers no TLS/);
+  assert.equal(server.messages.length, 1);
+});
+
+test('the digest only moves on once it was delivered', async t => {
+  let failing = true;
+  const requests = stubPost(t, () => {
+    if (failing) throw httpError(400);
+    return { data: {} };
+  });
+  recordRun({
+    trigger: 'cron',
+    startedAt: new Date().toISOString(),
+    dryRun: false,
+    incremental: true,
+    result: {
+      success: true, processed: 2, inserted: 2, skipped: 0, errors: 0,
+      accounts: [{
+        account: 'Checking',
+        success: true,
+        inserted: 2,
+        insertedTransactions: [
+          { date: '2024-03-04', payee: 'LIDER', amount: '-45990.00' },
+          { date: '2024-03-05', payee: 'COPEC', amount: '-30000.00' }
+        ]
+      }]
+    }
+  });
+  const config = configWith([webhookChannel({ triggers: ['digest'] })]);
+
+  await sendDigest(config);
+  assert.equal(fs.existsSync(STATE_FILE), false);
+
+  failing = false;
+  await sendDigest(config);
+  const delivered = requests[requests.length - 1].body;
+  assert.equal(delivered.data.total, 2);
+  assert.match(delivered.text, /Checking: 2\n {2}2024-03-04 LIDER -45990.00 CLP/);
+  assert.ok(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).lastDigestAt);
+
+  await sendDigest(config);
+  assert.equal(requests[requests.length - 1].body.data.total, 0);
+});
+
+test('renderTemplate leaves unknown placeholders empty', () => {
+  assert.equal(renderTemplate('{{account}} {{ missing }}!', { account: 'Checking' }), 'Checking !');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePayee, buildNotes, descriptionFromNotes } = require('../src/payee');
+
+// Descriptions as Fintoc returns them for Chilean banks
+const DESCRIPTIONS = [
+  ['COMPRA NAC 1234 UBER *TRIP SANTIAGO CL', 'UBER *TRIP'],
+  ['COMPRA NACIONAL LIDER EXPRESS SANTIAGO', 'LIDER EXPRESS'],
+  ['COMPRA WEB FALABELLA.COM', 'FALABELLA.COM'],
+  ['COMPRA NAC 123 H&M', 'H&M'],
+  ['PAGO CON REDCOMPRA COPEC 1234 LAS CONDES', 'COPEC'],
+  ['COMPRA CON TARJETA DEBITO STARBUCKS PROVIDENCIA', 'STARBUCKS'],
+  ['CARGO TARJETA SEGURO DESGRAVAMEN', 'SEGURO DESGRAVAMEN'],
+  ['REDCOMPRA JUMBO 0123 VINA DEL MAR', 'JUMBO'],
+  ['TEF A 12.345.678-9 JUAN PEREZ', 'JUAN PEREZ'],
+  ['TRANSFERENCIA A TERCEROS OTRO BANCO 12.345.678-9 MARIA SOTO', 'MARIA SOTO'],
+  // Prefixes that would leave no merchant behind are kept
+  ['PAGO TARJETA CREDITO', 'PAGO TARJETA CREDITO'],
+  ['PAGO TARJETA DE CREDITO', 'PAGO TARJETA DE CREDITO'],
+  ['PAGO TARJETA CREDITO 4567', 'PAGO TARJETA CREDITO'],
+  ['PAGO TDC', 'PAGO TDC'],
+  ['COMPRA NAC', 'COMPRA NAC'],
+  ['TRASPASO DE CUENTA CORRIENTE', 'TRASPASO DE CUENTA CORRIENTE'],
+  ['TRANSFERENCIA DESDE LINEA DE CREDITO', 'TRANSFERENCIA DESDE LINEA DE CREDITO'],
+  ['TRANSFERENCIA 12.345.678-9', 'TRANSFERENCIA'],
+  // Descriptions without a known prefix are only cleaned up
+  ['COMISION MANTENCION', 'COMISION MANTENCION'],
+  ['PAGO EN LINEA SERVIPAG', 'PAGO EN LINEA SERVIPAG'],
+  ['12345', '12345']
+];
+
+test('normalizePayee strips bank noise but never the whole merchant name', () => {
+  for (const [description, payee] of DESCRIPTIONS) {
+    assert.equal(normalizePayee(description), payee, description);
+  }
+});
+
+test('normalizePayee applies aliases and extra strip patterns', () => {
+  const options = { stripPatterns: ['\\*trip'], aliases: { uber: 'Uber' } };
+  assert.equal(normalizePayee('COMPRA NAC 1234 UBER *TRIP SANTIAGO CL', options), 'Uber');
+  assert.equal(normalizePayee('COMPRA NAC 1234 UBER *TRIP SANTIAGO CL', { stripPatterns: ['\\*trip'] }), 'UBER');
+  assert.equal(normalizePayee('PAGO TARJETA CREDITO', { enabled: false }), 'PAGO TARJETA CREDITO');
+});
+
+test('descriptionFromNotes reads back what buildNotes wrote', () => {
+  const cases = [
+    ['COMPRA NAC LIDER EXPRESS', null],
+    ['TRANSFERENCIA A JUAN PEREZ | CTA 123', null],
+    ['PAGO EN LINEA | PAC | SEGURO', 'Transfer with Savings'],
+    ['', 'Only notes']
+  ];
+  for (const [description, extra] of cases) {
+    assert.equal(descriptionFromNotes(buildNotes(description, extra)), description);
+  }
+});
+
+test('descriptionFromNotes ignores flag notes appended by older versions', () => {
+  assert.equal(
+    descriptionFromNotes('Fintoc: PAGO | PAC | Fintoc changed amount: "-100.00" → "-120.00"'),
+    'PAGO | PAC'
+  );
+  assert.equal(descriptionFromNotes('Fintoc: ABONO | Movement no longer present in Fintoc'), 'ABONO');
+});
+
+test('descriptionFromNotes returns null without the marker', () => {
+  assert.equal(descriptionFromNotes(null), null);
+  assert.equal(descriptionFromNotes('typed by hand'), null);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { findChanges, reconcile } = require('../src/reconcile');
+const { buildNotes } = require('../src/payee');
+
+/**
+ * A Lunch Money row inserted for a movement
+ * @param {string} externalId Fintoc movement ID
+ * @param {string} description Bank description kept in the notes
+ * @param {Object} [fields] Overrides
+ * @returns {Object} Row as returned by fetchTransactions()
+ */
+function row(externalId, description, fields = {}) {
+  return {
+    id: Number(externalId.replace(/\D/g, '')),
+    date: '2024-03-04',
+    amount: -1000,
+    payee: 'Renamed by a rule',
+    original_name: null,
+    notes: buildNotes(description, null),
+    tags: [],
+    external_id: externalId,
+    ...fields
+  };
+}
+
+/**
+ * A Fintoc movement as returned by fetchAccountMovements()
+ * @param {string} id Movement ID
+ * @param {string} description Raw bank description
+ * @returns {Object} Movement
+ */
+function movement(id, description) {
+  return { id, date: '2024-03-04', amount: -1000, currency: 'CLP', payee: description, description };
+}
+
+test('descriptions containing " | " are not reported as changed', () => {
+  const description = 'PAGO EN LINEA | PAC | SEGURO';
+  const { changed } = findChanges([movement('mov_1', description)], [row('mov_1', description)], { currency: 'CLP', detectMissing: true });
+  assert.deepEqual(changed, []);
+});
+
+test('changed amounts and descriptions are reported', () => {
+  const { changed } = findChanges(
+    [{ ...movement('mov_1', 'PAGO | PAC'), amount: -1200 }],
+    [row('mov_1', 'PAGO')],
+    { currency: 'CLP', detectMissing: true }
+  );
+  assert.deepEqual(changed[0].diff, {
+    amount: { from: '-1000.00', to: '-1200.00' },
+    description: { from: 'PAGO', to: 'PAGO | PAC' }
+  });
+});
+
+test('rows of unreadable movements are not reported as missing', () => {
+  const { missing } = findChanges(
+    [movement('mov_1', 'A')],
+    [row('mov_1', 'A'), row('mov_2', 'B'), row('mov_3', 'C')],
+    { currency: 'CLP', detectMissing: true, ignoreIds: ['mov_2'] }
+  );
+  assert.deepEqual(missing.map(tx => tx.external_id), ['mov_3']);
+});
+
+test('missing rows are not reported without detectMissing', () => {
+  const { missing } = findChanges([], [row('mov_1', 'A')], { currency: 'CLP', detectMissing: false });
+  assert.deepEqual(missing, []);
+});
+
+/**
+ * An HTTP error as thrown by axios
+ * @param {number} status Response status
+ * @returns {Error} Error
+ */
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: {} } });
+}
+
+/**
+ * Stub the Lunch Money update and delete requests
+ * @param {Object} t Test context
+ * @param {Object} options
+ * @param {number} [options.deleteStatus] Status deletes fail with
+ * @param {number} [options.updateStatus] Status updates fail with
+ * @returns {{deletes: Array<string>, updates: Array<{url: string, body: Object}>}} Requests made
+ */
+function stubLunchMoney(t, { deleteStatus = null, updateStatus = null } = {}) {
+  const requests = { deletes: [], updates: [] };
+  t.mock.method(axios, 'delete', async url => {
+    requests.deletes.push(url);
+    if (deleteStatus) throw httpError(deleteStatus);
+    return { data: {} };
+  });
+  t.mock.method(axios, 'put', async (url, body) => {
+    requests.updates.push({ url, body });
+    if (updateStatus) throw httpError(updateStatus);
+    return { data: { updated: true } };
+  });
+  // Skip withRetry() backoff
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  return requests;
+}
+
+test('update mode flags missing rows when Lunch Money refuses deletes', async t => {
+  const requests = stubLunchMoney(t, { deleteStatus: 404 });
+
+  const result = await reconcile({
+    token: 'lm_test',
+    mode: 'update',
+    movements: [],
+    existing: [row('mov_1', 'A'), row('mov_2', 'B')],
+    currency: 'CLP',
+    detectMissing: true
+  });
+
+  assert.equal(result.deleted, 0);
+  assert.equal(result.flagged, 2);
+  assert.deepEqual(result.errors, []);
+  // One delete is tried, and not retried; the rest are flagged straight away
+  assert.equal(requests.deletes.length, 1);
+  assert.deepEqual(requests.updates.map(({ body }) => body.transaction.tags), [['fintoc-removed'], ['fintoc-removed']]);
+});
+
+test('client errors are reported without retries', async t => {
+  const requests = stubLunchMoney(t, { updateStatus: 400 });
+
+  const result = await reconcile({
+    token: 'lm_test',
+    mode: 'flag',
+    movements: [],
+    existing: [row('mov_1', 'A')],
+    currency: 'CLP',
+    detectMissing: true
+  });
+
+  assert.equal(result.errors.length, 1);
+  assert.equal(requests.updates.length, 1);
+});
+
+test('server errors are retried', async t => {
+  const requests = stubLunchMoney(t, { deleteStatus: 503 });
+
+  const result = await reconcile({
+    token: 'lm_test',
+    mode: 'update',
+    movements: [],
+    existing: [row('mov_1', 'A')],
+    currency: 'CLP',
+    detectMissing: true
+  });
+
+  assert.equal(result.errors.length, 1);
+  // The first attempt and three retries
+  assert.equal(requests.deletes.length, 4);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/dataDir').useTempDataDir();
+const axios = require('axios');
+const { recordRun, getRun } = require('../src/runJournal');
+const { rollbackRun } = require('../src/rollback');
+
+const INSERTED = [
+  { lunchmoneyId: 11, external_id: 'mov_1', date: '2024-03-04', amount: '-45990.00', payee: 'Lider', category_id: 5, notes: 'Fintoc: LIDER' },
+  { lunchmoneyId: 12, external_id: 'mov_2', date: '2024-03-05', amount: '-30000.00', payee: 'Copec', category_id: null, notes: 'Fintoc: COPEC' }
+];
+
+/**
+ * Record a sync run that inserted INSERTED
+ * @returns {string} Run ID
+ */
+function recordInsertRun() {
+  return recordRun({
+    trigger: 'cli',
+    startedAt: new Date().toISOString(),
+    dryRun: false,
+    incremental: false,
+    result: {
+      success: true, processed: 2, inserted: 2, skipped: 0, errors: 0,
+      accounts: [{ account: 'Checking', success: true, inserted: 2, insertedTransactions: INSERTED }]
+    }
+  }).id;
+}
+
+/**
+ * Stub Lunch Money: rows as inserted (plus `tags`), deletes refused
+ * @param {Object} t Test context
+ * @param {Array<string>} tags Tag names of every row
+ * @returns {{deletes: Array<string>, updates: Array<Object>}} Requests made
+ */
+function stubLunchMoney(t, tags) {
+  const requests = { deletes: [], updates: [] };
+  t.mock.method(axios, 'get', async url => {
+    const row = INSERTED.find(inserted => url.endsWith(`/v1/transactions/${inserted.lunchmoneyId}`));
+    return { data: { id: row.lunchmoneyId, ...row, tags: tags.map(name => ({ name })) } };
+  });
+  t.mock.method(axios, 'delete', async url => {
+    requests.deletes.push(url);
+    throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, data: {} } });
+  });
+  t.mock.method(axios, 'put', async (url, body) => {
+    requests.updates.push(body.transaction);
+    return { data: { updated: true } };
+  });
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  return requests;
+}
+
+test('rows Lunch Money will not delete are tagged instead, once', async t => {
+  const runId = recordInsertRun();
+
+  const requests = stubLunchMoney(t, []);
+  const report = await rollbackRun({ token: 'lm_test', runId });
+  assert.deepEqual(report.deleted, []);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.flagged.map(item => item.lunchmoneyId), [11, 12]);
+  assert.equal(requests.deletes.length, 1);
+  assert.deepEqual(requests.updates[0], { tags: ['fintoc-rolled-back'], notes: `Rolled back sync run ${runId} | Fintoc: LIDER` });
+  assert.deepEqual(getRun(runId).rollbacks[0].flagged, [11, 12]);
+
+  // Repeating the rollback finds the tag and leaves the rows alone
+  t.mock.restoreAll();
+  const again = stubLunchMoney(t, ['fintoc-rolled-back']);
+  const repeated = await rollbackRun({ token: 'lm_test', runId });
+  assert.equal(repeated.flagged.length, 2);
+  assert.deepEqual(repeated.skipped, []);
+  assert.equal(again.updates.length + again.deletes.length, 0);
+});
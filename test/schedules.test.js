@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isQuietTime, parseExpression, nextRunTimes, buildJobs } = require('../src/schedules');
+
+test('nextRunTimes follows steps, ranges and names', () => {
+  const from = new Date('2024-03-04T10:07:30Z'); // a Monday
+  assert.deepEqual(
+    nextRunTimes('*/15 * * * *', 'UTC', { from }).map(date => date.toISOString()),
+    ['2024-03-04T10:15:00.000Z', '2024-03-04T10:30:00.000Z', '2024-03-04T10:45:00.000Z']
+  );
+  assert.deepEqual(
+    nextRunTimes('0 9 * * mon-fri', 'UTC', { from, count: 5 }).map(date => date.toISOString()),
+    ['2024-03-05T09:00:00.000Z', '2024-03-06T09:00:00.000Z', '2024-03-07T09:00:00.000Z', '2024-03-08T09:00:00.000Z', '2024-03-11T09:00:00.000Z']
+  );
+  assert.deepEqual(
+    nextRunTimes('30 0 8 1 jan,jul *', 'UTC', { from, count: 2 }).map(date => date.toISOString()),
+    ['2024-07-01T08:00:30.000Z', '2025-01-01T08:00:30.000Z']
+  );
+});
+
+test('parseExpression expands lists, ranges, steps and names', () => {
+  const [seconds, minutes, hours, days, months, weekdays] = parseExpression('5-20/10 1,2,40-42 */6 * Jan,JULY sun,6');
+  assert.deepEqual([...seconds], [10, 20]);
+  assert.deepEqual([...minutes], [1, 2, 40, 41, 42]);
+  assert.deepEqual([...hours], [0, 6, 12, 18]);
+  assert.equal(days.size, 31);
+  assert.deepEqual([...months], [1, 7]);
+  assert.deepEqual([...weekdays].sort(), [0, 6]);
+
+  // A reversed range is read low to high, as node-cron does
+  assert.deepEqual([...parseExpression('0 9 * * fri-mon')[5]], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseExpression('30 0 8 1 * *')[0]], [30]);
+  assert.deepEqual([...parseExpression('0 0 * * 7')[5]], [0]);
+});
+
+test('parseExpression rejects what it cannot read', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* * * 13 *', '*/0 * * * *', '1-2-3 * * * *', '* * * * funday']) {
+    assert.throws(() => parseExpression(expression), Error, expression);
+  }
+});
+
+test('nextRunTimes reads the expression in the job timezone', () => {
+  // Santiago is UTC-3 in March 2024 (summer time)
+  const [run] = nextRunTimes('0 9 * * *', 'America/Santiago', { from: new Date('2024-03-04T10:00:00Z'), count: 1 });
+  assert.equal(run.toISOString(), '2024-03-04T12:00:00.000Z');
+});
+
+test('nextRunTimes needs both day of month and weekday to match', () => {
+  // The 13th falls on a Friday in September and December 2024
+  assert.deepEqual(
+    nextRunTimes('0 0 13 * fri', 'UTC', { from: new Date('2024-03-04T00:00:00Z'), count: 2 }).map(date => date.toISOString()),
+    ['2024-09-13T00:00:00.000Z', '2024-12-13T00:00:00.000Z']
+  );
+});
+
+test('isQuietTime handles quiet hours that wrap past midnight', () => {
+  const night = { start: '23:00', end: '07:00' };
+  assert.equal(isQuietTime(night, 'UTC', new Date('2024-03-04T23:00:00Z')), true);
+  assert.equal(isQuietTime(night, 'UTC', new Date('2024-03-05T06:59:00Z')), true);
+  assert.equal(isQuietTime(night, 'UTC', new Date('2024-03-05T07:00:00Z')), false);
+  assert.equal(isQuietTime(night, 'UTC', new Date('2024-03-04T12:00:00Z')), false);
+
+  const lunch = { start: '12:00', end: '13:30' };
+  assert.equal(isQuietTime(lunch, 'UTC', new Date('2024-03-04T13:29:00Z')), true);
+  assert.equal(isQuietTime(lunch, 'UTC', new Date('2024-03-04T13:30:00Z')), false);
+  assert.equal(isQuietTime(null, 'UTC', new Date('2024-03-04T13:00:00Z')), false);
+});
+
+test('isQuietTime compares in the job timezone', () => {
+  // 02:30 UTC is 23:30 the day before in Santiago
+  assert.equal(isQuietTime({ start: '23:00', end: '07:00' }, 'America/Santiago', new Date('2024-03-05T02:30:00Z')), true);
+  assert.equal(isQuietTime({ start: '23:00', end: '07:00' }, 'UTC', new Date('2024-03-05T12:30:00Z')), false);
+});
+
+/**
+ * Minimal config for buildJobs()
+ * @param {Object} [syncSchedule] Overrides of the global sync schedule
+ * @returns {Object} Config
+ */
+function scheduleConfig(syncSchedule = {}) {
+  const schedule = { cron: '0 * * * *', timezone: 'UTC', quietHours: null, enabled: true };
+  return {
+    accounts: [
+      { name: 'Checking', schedule: null },
+      { name: 'Card', schedule: { ...schedule, cron: '*/10 * * * *' } }
+    ],
+    schedules: {
+      sync: { ...schedule, ...syncSchedule },
+      memoryRebuild: { ...schedule, cron: '0 3 * * *' },
+      digest: { ...schedule, cron: '0 9 * * *' }
+    },
+    notifications: { channels: [] }
+  };
+}
+
+test('buildJobs splits accounts with their own schedule into separate jobs', () => {
+  const jobs = buildJobs(scheduleConfig());
+  assert.deepEqual(jobs.map(({ name, accounts, enabled }) => [name, accounts, enabled]), [
+    ['sync', ['Checking'], true],
+    ['sync:Card', ['Card'], true],
+    ['memory_rebuild', null, true],
+    ['digest', null, false]
+  ]);
+});
+
+test('buildJobs rejects invalid expressions, timezones and quiet hours', () => {
+  assert.throws(
+    () => buildJobs(scheduleConfig({ cron: '61 * * * *', timezone: 'Mars/Base', quietHours: { start: '7am' } })),
+    /sync: invalid cron expression "61 \* \* \* \*"; sync: unknown timezone "Mars\/Base"; sync: quiet_hours needs/
+  );
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/dataDir').useTempDataDir();
+const { app } = require('../server');
+const { listen } = require('./helpers/server');
+const { signRequest } = require('../src/auth');
+const { acquireLock, releaseLock } = require('../src/lock');
+const { addReviewItems, listReviewItems } = require('../src/reviewQueue');
+
+const AUTH_VARIABLES = ['SYNC_API_TOKEN', 'SYNC_API_HMAC_SECRET', 'ALLOW_UNAUTHENTICATED'];
+
+let server;
+test.before(async () => {
+  server = await listen(app);
+});
+test.after(() => server.close());
+
+/**
+ * Set the authentication variables for one test, clearing the others
+ * @param {Object} t Test context
+ * @param {Object<string, string>} env Variables to set
+ */
+function useAuth(t, env) {
+  const saved = Object.fromEntries(AUTH_VARIABLES.map(name => [name, process.env[name]]));
+  for (const name of AUTH_VARIABLES) delete process.env[name];
+  Object.assign(process.env, env);
+  t.after(() => {
+    for (const name of AUTH_VARIABLES) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+}
+
+/**
+ * POST JSON to the server
+ * @param {string} path Request path
+ * @param {Object} [body] Request body
+ * @param {Object<string, string>} [headers] Extra headers
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+async function post(path, body = {}, headers = {}) {
+  const response = await fetch(server.url + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// An unknown review item answers 404 once a request is let through, without
+// calling Lunch Money or running a sync
+const PROBE = '/review/unknown/skip';
+
+test('mutating endpoints answer 503 when no secret is configured', async t => {
+  useAuth(t, {});
+  const { status, body } = await post(PROBE);
+  assert.equal(status, 503);
+  assert.match(body.error, /ALLOW_UNAUTHENTICATED=1/);
+  assert.equal((await post('/sync', { dryRun: true })).status, 503);
+});
+
+test('ALLOW_UNAUTHENTICATED=1 leaves the endpoints open', async t => {
+  useAuth(t, { ALLOW_UNAUTHENTICATED: '1' });
+  assert.equal((await post(PROBE)).status, 404);
+});
+
+test('read-only endpoints need no credentials', async t => {
+  useAuth(t, {});
+  const response = await fetch(`${server.url}/runs`);
+  assert.equal(response.status, 200);
+});
+
+test('bearer tokens are checked', async t => {
+  useAuth(t, { SYNC_API_TOKEN: 'secret-token' });
+  assert.equal((await post(PROBE)).status, 401);
+  assert.equal((await post(PROBE, {}, { Authorization: 'Bearer wrong-token' })).status, 401);
+  assert.equal((await post(PROBE, {}, { Authorization: 'Bearer secret-token' })).status, 404);
+});
+
+test('HMAC signatures are checked, including their age', async t => {
+  useAuth(t, { SYNC_API_HMAC_SECRET: 'hmac-secret' });
+  const body = { dryRun: true };
+  const raw = JSON.stringify(body);
+  const now = Math.floor(Date.now() / 1000);
+
+  const valid = { 'X-Timestamp': String(now), 'X-Signature': signRequest('hmac-secret', now, raw) };
+  assert.equal((await post(PROBE, body, valid)).status, 404);
+
+  const old = now - 600;
+  const expired = { 'X-Timestamp': String(old), 'X-Signature': signRequest('hmac-secret', old, raw) };
+  assert.equal((await post(PROBE, body, expired)).status, 401);
+
+  const forged = { 'X-Timestamp': String(now), 'X-Signature': signRequest('other-secret', now, raw) };
+  assert.equal((await post(PROBE, body, forged)).status, 401);
+});
+
+test('syncs and review answers are refused with 409 while the lock is held', async t => {
+  useAuth(t, { SYNC_API_TOKEN: 'secret-token' });
+  const headers = { Authorization: 'Bearer secret-token' };
+  addReviewItems([{ lunchmoneyId: 1, account: 'Checking', date: '2024-03-04', amount: '-1000.00', payee: 'LIDER', memoryKey: 'LIDER', categoryName: null, candidates: [] }]);
+  const [item] = listReviewItems();
+
+  const { acquired } = acquireLock({ operation: 'sync', trigger: 'test' });
+  assert.equal(acquired, true);
+  t.after(releaseLock);
+
+  const syncResponse = await post('/sync', { dryRun: true }, headers);
+  assert.equal(syncResponse.status, 409);
+  assert.equal(syncResponse.body.lock.trigger, 'test');
+
+  const resolveResponse = await post(`/review/${item.id}/resolve`, { category: 'Groceries' }, headers);
+  assert.equal(resolveResponse.status, 409);
+
+  const skipResponse = await post(`/review/${item.id}/skip`, {}, headers);
+  assert.equal(skipResponse.status, 409);
+  assert.equal(skipResponse.body.lock.trigger, 'test');
+  assert.equal(listReviewItems()[0].status, 'pending');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sendMail, buildMessage } = require('../src/smtp');
+const { startSmtpServer } = require('./helpers/smtpServer');
+
+const MESSAGE = {
+  from: 'Sync <sync@example.com>',
+  to: ['me@example.com'],
+  subject: 'Sincronización fallida',
+  text: 'Line one\n.starts with a dot'
+};
+
+/**
+ * Start a stub server that is closed after the test
+ * @param {Object} t Test context
+ * @param {Object} [options] See startSmtpServer()
+ * @returns {Promise<Object>} Running stub server
+ */
+async function stub(t, options) {
+  const server = await startSmtpServer(options);
+  t.after(() => server.close());
+  return server;
+}
+
+test('a message is sent without AUTH when no user is configured', async t => {
+  const server = await stub(t);
+  await sendMail({ host: '127.0.0.1', port: server.port }, MESSAGE);
+
+  assert.deepEqual(server.commands.map(command => command.split(' ')[0]), ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+  assert.equal(server.commands[1], 'MAIL FROM:<sync@example.com>');
+  assert.equal(server.commands[2], 'RCPT TO:<me@example.com>');
+  assert.match(server.messages[0], /^Subject: =\?UTF-8\?B\?U2luY3Jvbml6YWNpw7NuIGZhbGxpZGE=\?=$/m);
+  assert.match(server.messages[0], /\r\n\r\nLine one\r\n\.\.starts with a dot$/);
+});
+
+test('the password is never sent to a server without TLS', async t => {
+  const server = await stub(t);
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.port, user: 'sync@example.com', password: 'hunter2' }, MESSAGE),
+    error => error.code === 'ENOTLS' && /offers no TLS/.test(error.message)
+  );
+  assert.ok(server.commands.every(command => !command.startsWith('AUTH')));
+  assert.equal(server.messages.length, 0);
+});
+
+test('turning STARTTLS off does not allow a plain text password either', async t => {
+  const server = await stub(t, { extensions: ['STARTTLS', 'AUTH PLAIN'] });
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.port, starttls: false, user: 'sync@example.com', password: 'hunter2' }, MESSAGE),
+    { code: 'ENOTLS' }
+  );
+  assert.ok(server.commands.every(command => !command.startsWith('AUTH') && command !== 'STARTTLS'));
+});
+
+test('smtp.insecure allows AUTH PLAIN without TLS', async t => {
+  const server = await stub(t);
+  await sendMail({ host: '127.0.0.1', port: server.port, insecure: true, user: 'sync@example.com', password: 'hunter2' }, MESSAGE);
+
+  const auth = server.commands.find(command => command.startsWith('AUTH PLAIN '));
+  assert.equal(Buffer.from(auth.slice('AUTH PLAIN '.length), 'base64').toString('utf8'), '\u0000sync@example.com\u0000hunter2');
+  assert.equal(server.messages.length, 1);
+});
+
+test('rejected credentials fail with the reply code', async t => {
+  const server = await stub(t, { authReply: '535 5.7.8 Bad credentials' });
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.port, insecure: true, user: 'sync@example.com', password: 'wrong' }, MESSAGE),
+    { code: 'EPROTOCOL', responseCode: 535 }
+  );
+  assert.equal(server.messages.length, 0);
+});
+
+test('buildMessage lists every recipient', () => {
+  const source = buildMessage({ ...MESSAGE, to: ['a@example.com', 'b@example.com'] });
+  assert.match(source, /^To: a@example.com, b@example.com$/m);
+  assert.ok(source.endsWith('\r\n.'));
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/dataDir').useTempDataDir();
+const axios = require('axios');
+const { sync, syncAccount } = require('../src/sync');
+const { getCursor, setCursor } = require('../src/syncState');
+
+const config = {
+  lunchmoneyToken: 'lm_test',
+  categoryRules: {},
+  daysToSync: 7,
+  incrementalOverlapDays: 3,
+  reconcileMode: 'ignore',
+  payeeNormalization: {},
+  transfers: { enabled: false },
+  minConfidence: 0.4,
+  reviewThreshold: 0.6
+};
+
+/**
+ * Stub the Fintoc and Lunch Money APIs
+ * @param {Object} t Test context
+ * @param {Object} options
+ * @param {Array<Object>} options.movements Fintoc movements
+ * @param {boolean} [options.failCategories] Fail the Lunch Money categories request
+ * @param {boolean} [options.failInsert] Reject the Lunch Money insert
+ * @returns {{fintocParams: Array<Object>}} Query parameters of each Fintoc request
+ */
+function stubApis(t, { movements, failCategories = false, failInsert = false }) {
+  const fintocParams = [];
+  t.mock.method(axios, 'get', async (url, options) => {
+    if (url.startsWith('https://api.fintoc.com/')) {
+      fintocParams.push(options.params);
+      return { data: movements };
+    }
+    if (url.endsWith('/v1/categories')) {
+      if (failCategories) throw Object.assign(new Error('Bad request'), { response: { status: 400, data: {} } });
+      return { data: { categories: [] } };
+    }
+    return { data: { transactions: [], has_more: false } };
+  });
+  t.mock.method(axios, 'post', async (url, body) => {
+    if (failInsert) throw Object.assign(new Error('Bad request'), { response: { status: 400, data: { error: 'invalid' } } });
+    return { data: { ids: body.transactions.map((_, index) => index + 1) } };
+  });
+  // Skip withRetry() backoff
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  return { fintocParams };
+}
+
+/**
+ * A movement of the test account
+ * @param {string} id Movement ID
+ * @param {string} date Transaction date
+ * @returns {Object} Fintoc movement
+ */
+function movement(id, date) {
+  return { id, amount: -1000, currency: 'CLP', description: 'SUPERMERCADO', transaction_date: date };
+}
+
+test('a clean incremental sync advances the cursor, and the next starts before it', async t => {
+  const account = { name: 'Clean', finocApiKey: 'sk_test', finocLinkId: 'acc_clean', currency: 'CLP', lunchmoneyAssetId: '1' };
+  setCursor('acc_clean', { date: '2024-03-04' });
+  const { fintocParams } = stubApis(t, { movements: [movement('mov_1', '2024-03-06'), movement('mov_2', '2024-03-08')] });
+
+  const result = await syncAccount({ config, account, incremental: true });
+
+  assert.equal(result.success, true);
+  assert.equal(result.inserted, 2);
+  assert.equal(fintocParams[0].since, '2024-03-01');
+  assert.equal(getCursor('acc_clean').date, '2024-03-08');
+});
+
+test('insertion errors keep the cursor', async t => {
+  const account = { name: 'Insert', finocApiKey: 'sk_test', finocLinkId: 'acc_insert', currency: 'CLP', lunchmoneyAssetId: '1' };
+  setCursor('acc_insert', { date: '2024-03-04' });
+  stubApis(t, { movements: [movement('mov_3', '2024-03-06')], failInsert: true });
+
+  const result = await syncAccount({ config, account, incremental: true });
+
+  assert.equal(result.success, false);
+  assert.equal(getCursor('acc_insert').date, '2024-03-04');
+});
+
+test('processing errors keep the cursor even when the rest was inserted', async t => {
+  const account = { name: 'Processing', finocApiKey: 'sk_test', finocLinkId: 'acc_processing', currency: 'CLP', lunchmoneyAssetId: '1' };
+  setCursor('acc_processing', { date: '2024-03-04' });
+  stubApis(t, { movements: [], failCategories: true });
+  const transferred = { id: 'mov_4', date: '2024-03-06', amount: -1000, currency: 'CLP', payee: 'TRASPASO', description: 'TRASPASO' };
+  const spent = { id: 'mov_5', date: '2024-03-07', amount: -1000, currency: 'CLP', payee: 'SUPERMERCADO', description: 'SUPERMERCADO' };
+
+  // Transfers fail on the category lookup, which the sync reports as a processing error
+  const result = await syncAccount({
+    config: { ...config, transfers: { enabled: true, category: 'Transfers', tag: 'transfer' } },
+    account,
+    incremental: true,
+    fetched: { movements: [transferred, spent], skipped: [], since: '2024-03-01', until: '2024-03-08' },
+    transfers: new Map([[transferred, { account: 'Other', movement: spent }]])
+  });
+
+  assert.equal(result.inserted, 2);
+  assert.equal(result.processingErrors.length, 1);
+  assert.equal(getCursor('acc_processing').date, '2024-03-04');
+});
+
+test('dry runs never move the cursor', async t => {
+  const account = { name: 'Dry', finocApiKey: 'sk_test', finocLinkId: 'acc_dry', currency: 'CLP', lunchmoneyAssetId: '1' };
+  stubApis(t, { movements: [movement('mov_5', '2024-03-06')] });
+
+  await syncAccount({ config, account, dryRun: true });
+
+  assert.equal(getCursor('acc_dry'), null);
+});
+
+test('a single-account sync pairs transfers with accounts outside the run', async t => {
+  const accounts = [
+    { name: 'Checking', finocApiKey: 'sk_test', finocLinkId: 'acc_out', currency: 'CLP', lunchmoneyAssetId: '1' },
+    { name: 'Savings', finocApiKey: 'sk_test', finocLinkId: 'acc_in', currency: 'CLP', lunchmoneyAssetId: '2' }
+  ];
+  const movementsByAccount = {
+    acc_out: [{ id: 'mov_out', amount: -50000, currency: 'CLP', description: 'TRASPASO A CUENTA AHORRO', transaction_date: '2024-03-05' }],
+    // Already synced by an earlier run of Savings
+    acc_in: [{ id: 'mov_in', amount: 50000, currency: 'CLP', description: 'TRASPASO DE CUENTA CORRIENTE', transaction_date: '2024-03-06' }]
+  };
+  const fintocRequests = [];
+  t.mock.method(axios, 'get', async (url, options) => {
+    if (url.startsWith('https://api.fintoc.com/')) {
+      const linkId = url.match(/accounts\/([^/]+)\/movements/)[1];
+      fintocRequests.push({ linkId, params: options.params });
+      return { data: movementsByAccount[linkId] };
+    }
+    if (url.endsWith('/v1/categories')) {
+      return { data: { categories: [{ id: 77, name: 'Payment, Transfer' }] } };
+    }
+    return { data: { transactions: [], has_more: false } };
+  });
+  const inserted = [];
+  t.mock.method(axios, 'post', async (url, body) => {
+    inserted.push(...body.transactions);
+    return { data: { ids: body.transactions.map((_, index) => index + 1) } };
+  });
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+
+  const result = await sync({
+    config: {
+      ...config,
+      accounts,
+      categoryRules: {},
+      transfers: { enabled: true, dayWindow: 2, category: 'Payment, Transfer', tag: 'transfer' }
+    },
+    accountNames: ['Checking'],
+    range: { since: '2024-03-01', until: '2024-03-07' },
+    trigger: 'webhook'
+  });
+
+  assert.deepEqual(result.accounts.map(account => account.account), ['Checking']);
+  assert.equal(inserted.length, 1);
+  assert.equal(inserted[0].external_id, 'mov_out');
+  assert.equal(inserted[0].category_id, 77);
+  assert.deepEqual(inserted[0].tags, ['transfer']);
+  assert.match(inserted[0].notes, /Transfer Checking → Savings/);
+
+  // Savings is only read, over the synced window widened by the day window
+  const savings = fintocRequests.find(request => request.linkId === 'acc_in');
+  assert.equal(savings.params.since, '2024-02-28');
+  assert.equal(savings.params.until, '2024-03-09');
+  assert.equal(getCursor('acc_in'), null);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('./helpers/dataDir').useTempDataDir();
+const { getCursor, setCursor, resumeDate, newestMovement } = require('../src/syncState');
+
+test('resumeDate goes back the overlap from the cursor date', () => {
+  assert.equal(resumeDate({ date: '2024-03-04' }, 3), '2024-03-01');
+  assert.equal(resumeDate({ date: '2024-03-01' }, 1), '2024-02-29');
+  assert.equal(resumeDate({ date: '2024-01-02' }, 7), '2023-12-26');
+  assert.equal(resumeDate({ date: '2024-03-04' }, 0), '2024-03-04');
+});
+
+test('the cursor keeps only the date of the newest movement', () => {
+  assert.equal(getCursor('acc_new'), null);
+  const newest = newestMovement([
+    { id: 'mov_a', date: '2024-03-01' },
+    { id: 'mov_b', date: '2024-03-05' },
+    { id: 'mov_c', date: '2024-03-03' }
+  ]);
+  setCursor('acc_new', newest);
+
+  const cursor = getCursor('acc_new');
+  assert.equal(cursor.date, '2024-03-05');
+  assert.ok(cursor.updatedAt);
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'sync_state.json'), 'utf8'));
+  assert.deepEqual(Object.keys(stored.accounts.acc_new).sort(), ['date', 'updatedAt']);
+});
+
+test('an empty sync keeps the cursor', () => {
+  setCursor('acc_kept', { date: '2024-02-10' });
+  setCursor('acc_kept', newestMovement([]));
+  assert.equal(getCursor('acc_kept').date, '2024-02-10');
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const dataDir = require('./helpers/dataDir').useTempDataDir();
+
+// Two accounts in config.json; the server reads it from the working directory
+const cwd = process.cwd();
+fs.writeFileSync(path.join(dataDir, 'config.json'), JSON.stringify({
+  accounts: [
+    { name: 'Checking', fintoc_account_id: 'acc_checking', lunchmoney_asset_id: 1 },
+    { name: 'Card', fintoc_account_id: 'acc_card', lunchmoney_asset_id: 2 }
+  ]
+}));
+process.chdir(dataDir);
+process.on('exit', () => process.chdir(cwd));
+Object.assign(process.env, {
+  FINTOC_WEBHOOK_SECRET: 'whsec_test',
+  WEBHOOK_DEBOUNCE_SECONDS: '0.3',
+  FINTOC_API_KEY: 'sk_test',
+  LUNCHMONEY_TOKEN: 'lm_test'
+});
+
+const axios = require('axios');
+const { app } = require('../server');
+const { listen } = require('./helpers/server');
+
+let server;
+test.before(async () => {
+  server = await listen(app);
+});
+test.after(() => server.close());
+
+/**
+ * Fintoc-Signature header for a body, as Fintoc computes it
+ * @param {string} body Raw body
+ * @param {Object} [options]
+ * @param {string} [options.secret] Webhook secret
+ * @param {number} [options.timestamp] Unix time of the delivery
+ * @returns {string} Header value
+ */
+function fintocSignature(body, { secret = 'whsec_test', timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * A refresh event of a Fintoc account
+ * @param {string} accountId Fintoc account ID
+ * @param {string} [type] Event type
+ * @returns {Object} Webhook event
+ */
+function refreshEvent(accountId, type = 'account.refresh_intent.succeeded') {
+  return {
+    id: `evt_${crypto.randomBytes(4).toString('hex')}`,
+    type,
+    data: { refreshed_object: 'account', refreshed_object_id: accountId }
+  };
+}
+
+/**
+ * Deliver a webhook event
+ * @param {Object} event Webhook event
+ * @param {string|null} [signature] Fintoc-Signature header, signed correctly
+ *   by default, left out if null
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+async function deliver(event, signature) {
+  const body = JSON.stringify(event);
+  const headers = { 'Content-Type': 'application/json' };
+  const header = signature === undefined ? fintocSignature(body) : signature;
+  if (header !== null) headers['Fintoc-Signature'] = header;
+  const response = await fetch(`${server.url}/webhooks/fintoc`, { method: 'POST', headers, body });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a delivery with a wrong signature is rejected', async () => {
+  const event = refreshEvent('acc_checking');
+  const { status, body } = await deliver(event, fintocSignature(JSON.stringify(event), { secret: 'whsec_other' }));
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Invalid Fintoc signature');
+});
+
+test('a delivery signed more than five minutes ago is rejected', async () => {
+  const event = refreshEvent('acc_checking');
+  const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+  const { status, body } = await deliver(event, fintocSignature(JSON.stringify(event), { timestamp }));
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Fintoc-Signature timestamp is too old');
+});
+
+test('a delivery without a signature header is rejected', async () => {
+  const { status, body } = await deliver(refreshEvent('acc_checking'), null);
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Missing Fintoc-Signature header');
+});
+
+test('webhooks answer 503 until a secret is configured', async t => {
+  delete process.env.FINTOC_WEBHOOK_SECRET;
+  t.after(() => {
+    process.env.FINTOC_WEBHOOK_SECRET = 'whsec_test';
+  });
+  assert.equal((await deliver(refreshEvent('acc_checking'))).status, 503);
+});
+
+test('events that need no sync are acknowledged and ignored', async () => {
+  const other = await deliver(refreshEvent('acc_checking', 'link.credentials_changed'));
+  assert.equal(other.status, 200);
+  assert.match(other.body.ignored, /does not trigger a sync/);
+
+  const unknown = await deliver(refreshEvent('acc_unknown'));
+  assert.equal(unknown.status, 200);
+  assert.match(unknown.body.ignored, /"acc_unknown" is not configured/);
+});
+
+test('a burst of events for one account becomes a single sync of that account', async t => {
+  const fintocRequests = [];
+  t.mock.method(axios, 'get', async url => {
+    if (url.startsWith('https://api.fintoc.com/')) {
+      fintocRequests.push(url);
+      return { data: [] };
+    }
+    return { data: { transactions: [], categories: [], has_more: false } };
+  });
+  for (const method of ['log', 'warn']) t.mock.method(console, method, () => {});
+
+  for (const type of ['account.refresh_intent.succeeded', 'account.refresh_intent.movements_modified', 'account.refresh_intent.succeeded']) {
+    const { status, body } = await deliver(refreshEvent('acc_checking', type));
+    assert.equal(status, 202);
+    assert.equal(body.account, 'Checking');
+    assert.equal(body.pending, 1);
+  }
+
+  // Wait for the debounced run, then a while longer for any second one
+  const deadline = Date.now() + 5000;
+  while (fintocRequests.length === 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await new Promise(resolve => setTimeout(resolve, 700));
+
+  assert.deepEqual(fintocRequests, ['https://api.fintoc.com/v1/accounts/acc_checking/movements']);
+  const runs = await (await fetch(`${server.url}/runs`)).json();
+  assert.equal(runs.total, 1);
+  assert.equal(runs.runs[0].trigger, 'webhook');
+  assert.deepEqual(runs.runs[0].accounts.map(account => account.account), ['Checking']);
+});